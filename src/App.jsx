@@ -1,85 +1,377 @@
-import { useState, useEffect } from 'react'
-import { sendPrompt, validateDirectory, validateRepository, checkBackendHealth } from './services/api'
+import { useState, useEffect, useRef, useMemo } from 'react'
+import {
+  streamPrompt,
+  applyCodeChanges,
+  validateDirectory,
+  validateRepository,
+  respondToApproval,
+  killCommand
+} from './services/api'
+import MarkdownMessage from './components/MarkdownMessage'
+import ConversationSidebar from './components/ConversationSidebar'
+import SettingsPanel from './components/SettingsPanel'
+import RepositoryPicker from './components/RepositoryPicker'
+import FileTreePanel from './components/FileTreePanel'
+import FileViewer from './components/FileViewer'
+import ChatComposer from './components/ChatComposer'
+import AttachmentChips from './components/AttachmentChips'
+import FunctionCallTrace from './components/FunctionCallTrace'
+import PendingPromptBubble from './components/PendingPromptBubble'
+import ApprovalCard from './components/ApprovalCard'
+import DiffReviewModal from './components/DiffReviewModal'
+import ExportMenu from './components/ExportMenu'
+import UsagePanel from './components/UsagePanel'
+import TerminalPanel from './components/TerminalPanel'
+import RunSettingsPanel from './components/RunSettingsPanel'
+import UserMenu from './components/UserMenu'
+import useConversations from './hooks/useConversations'
+import useBackendHealth from './hooks/useBackendHealth'
+import useRepositoryFiles from './hooks/useRepositoryFiles'
+import useDrafts from './hooks/useDrafts'
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts'
+import useOutbox from './hooks/useOutbox'
+import useServiceWorker from './hooks/useServiceWorker'
+import { DEFAULT_CONVERSATION_TITLE, titleFromPrompt, createWelcomeMessage } from './services/conversationStore'
+import {
+  getApiBaseUrl,
+  getAvailableProfiles,
+  getBackendProfile,
+  setBackendProfile
+} from './services/backendConfig'
+import {
+  buildConversationContext,
+  estimateTokens,
+  CONTEXT_BUDGET_OPTIONS,
+  DEFAULT_CONTEXT_BUDGET
+} from './services/conversationContext'
+import { describeError } from './services/errorMessages'
+import { looksLikeGitUrl, formatRef, addRecentRepository } from './services/repositoryStore'
+import { extractTouchedFiles } from './services/fileTree'
+import { EMPTY_ATTACHMENTS, hasAttachments } from './services/attachments'
+import {
+  toFunctionCallRecord,
+  startFunctionCall,
+  finishFunctionCall,
+  mergeFunctionCalls,
+  settleFunctionCalls
+} from './services/functionCalls'
+import { getMessageChanges, buildAcceptedPatch } from './services/codeChanges'
+import { buildChangeSet, formatChangeSetPatch, buildChangeSetZip } from './services/changeExport'
+import { downloadFile, repositorySlug } from './services/download'
+import {
+  conversationToMarkdown,
+  conversationToJson,
+  conversationToHtml,
+  parseConversationImport
+} from './services/conversationExport'
+import { getUsageSettings, setUsageSettings } from './services/usageSettings'
+import { getMessageUsage, countTokens, getBudgetWarnings, formatTokens } from './services/usageStats'
+import { loadTemplates, saveTemplates } from './services/promptTemplates'
+import { getCommands, resolveSlashCommand, parseRepoArgs } from './services/slashCommands'
+import { loadPromptHistory, savePromptHistory, addPromptToHistory } from './services/promptHistory'
+import {
+  getToolApprovalSettings,
+  setToolApprovalSettings,
+  buildToolPolicies,
+  startApproval,
+  resolveApproval,
+  settleApprovals
+} from './services/toolApprovals'
+import {
+  startCommand,
+  appendCommandOutput,
+  finishCommand,
+  markKillRequested,
+  settleCommands
+} from './services/commandRuns'
+import {
+  getRunSettings,
+  effectiveRunSettings,
+  describeRunSettings,
+  collectToolNames,
+  collectModelNames
+} from './services/runSettings'
+import { repositoryHost, isRepositoryAuthFailure, describeRepositoryAuthFailure } from './services/credentials'
+import { endSessionIfBackendChanged } from './services/auth'
+
+const CHANGE_EXPORT_FORMATS = [
+  { id: 'patch', label: 'Patch file (.patch)', hint: 'Apply with git apply' },
+  { id: 'zip', label: 'Modified files (.zip)', hint: 'Full contents of each changed file' }
+]
+
+const CONVERSATION_EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown (.md)', hint: 'For PR descriptions and docs' },
+  { id: 'json', label: 'JSON (.json)', hint: 'Full record, can be imported again' },
+  { id: 'html', label: 'HTML page (.html)', hint: 'Self-contained, opens in any browser' }
+]
 
 function App() {
   const [showCover, setShowCover] = useState(true)
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      type: 'ai',
-      content: 'Hello! I\'m your AI Coding Buddy. I can analyze your codebase, understand project structure, and help with development tasks. Just provide a local directory path or Git repository URL!',
-      timestamp: new Date().toLocaleTimeString()
-    }
-  ])
+  const {
+    conversations,
+    activeConversation,
+    selectConversation,
+    updateConversation,
+    newConversation,
+    importConversation,
+    renameConversation,
+    deleteConversation,
+    saveFailed
+  } = useConversations()
+  const { messages, workingDirectory, verbose: verboseMode } = activeConversation
+  const repositoryType = activeConversation.repositoryType || (looksLikeGitUrl(workingDirectory) ? 'git' : 'local')
+  const repositoryRef = activeConversation.repositoryRef || null
+  const runSettings = getRunSettings(activeConversation)
+  const touchedFiles = useMemo(
+    () => [...new Set(messages.flatMap(m => m.touchedFiles || []))],
+    [messages]
+  )
+  const changeCounts = useMemo(
+    () => new Map(messages.map(m => [m.id, getMessageChanges(m).length])),
+    [messages]
+  )
+  const terminalCommands = useMemo(
+    () => messages.flatMap(m => (m.commands || []).map(command => ({ ...command, messageId: m.id }))),
+    [messages]
+  )
+  const sessionTokens = useMemo(() => countTokens(messages), [messages])
+  const conversationContext = buildConversationContext(messages, {
+    contextStartId: activeConversation.contextStartId,
+    maxChars: activeConversation.contextBudget
+  })
+  const [showSidebar, setShowSidebar] = useState(true)
   
-  const [inputMessage, setInputMessage] = useState('')
-  const [verboseMode, setVerboseMode] = useState(false)
+  const [inputMessage, setInputMessage] = useDrafts(activeConversation.id)
+  const [promptHistory, setPromptHistory] = useState(loadPromptHistory)
+  const inputRef = useRef(null)
+  const [attachments, setAttachments] = useState(EMPTY_ATTACHMENTS)
+  const [mentionRequested, setMentionRequested] = useState(false)
   const [isTyping, setIsTyping] = useState(false)
-  const [workingDirectory, setWorkingDirectory] = useState('https://github.com/microsoft/calculator')
-  const [backendStatus, setBackendStatus] = useState({ healthy: false, checking: true })
+  const [editingMessageId, setEditingMessageId] = useState(null)
+  const [editDraft, setEditDraft] = useState('')
+  const abortControllerRef = useRef(null)
+  const [backendProfile, setBackendProfileState] = useState(getBackendProfile)
+  // Tracked separately from the profile: saving a new custom URL keeps the
+  // profile id but still needs a health check against the new backend
+  const [backendUrl, setBackendUrl] = useState(getApiBaseUrl)
+  const backendStatus = useBackendHealth(backendUrl)
+  const outbox = useOutbox()
+  const appUpdate = useServiceWorker()
+  const [showSettings, setShowSettings] = useState(false)
+  const [showUsage, setShowUsage] = useState(false)
+  const [showRunSettings, setShowRunSettings] = useState(false)
+  const [usageSettings, setUsageSettingsState] = useState(getUsageSettings)
+  const [templates, setTemplates] = useState(loadTemplates)
+  const [toolApproval, setToolApprovalState] = useState(getToolApprovalSettings)
+  // "Always allow for this session" choices; the ref lets a reply that is
+  // already streaming see choices made after it started
+  const [sessionAllowedTools, setSessionAllowedTools] = useState(() => new Set())
+  const sessionAllowedToolsRef = useRef(sessionAllowedTools)
+  sessionAllowedToolsRef.current = sessionAllowedTools
+  const commands = useMemo(() => getCommands(templates), [templates])
+  const [showRepositoryPicker, setShowRepositoryPicker] = useState(false)
+  const [showFileTree, setShowFileTree] = useState(false)
+  const [showTerminal, setShowTerminal] = useState(false)
+  const [openFilePath, setOpenFilePath] = useState(null)
+  const [expandedTraces, setExpandedTraces] = useState(() => new Set())
+  const [reviewMessageId, setReviewMessageId] = useState(null)
+  const [isApplyingChanges, setIsApplyingChanges] = useState(false)
+  const [isExportingChanges, setIsExportingChanges] = useState(false)
   const [error, setError] = useState(null)
 
-  // Check backend health on component mount
+  // Saving keeps being retried on every change; tell the user once it starts failing
   useEffect(() => {
-    const checkHealth = async () => {
-      const health = await checkBackendHealth()
-      setBackendStatus({ healthy: health.healthy, checking: false })
-      
-      if (!health.healthy) {
-        setError('Backend is not available. Please start the Flask server.')
-      }
+    if (saveFailed) {
+      setError('Conversations can no longer be saved because browser storage is full. Export or delete old conversations to free space.')
     }
-    
-    checkHealth()
-    // Check health every 30 seconds
-    const interval = setInterval(checkHealth, 30000)
-    return () => clearInterval(interval)
-  }, [])
+  }, [saveFailed])
+  const repositoryFiles = useRepositoryFiles(workingDirectory, repositoryRef, showFileTree || mentionRequested)
 
-  const handleSendMessage = async (e) => {
-    e.preventDefault()
-    if (!inputMessage.trim() || isTyping) return
+  // Bound to the conversation active at render time, so a reply that is still
+  // streaming keeps landing in the conversation that asked for it
+  const conversationId = activeConversation.id
+  const pendingPrompts = outbox.items.filter(item => item.conversationId === conversationId)
+  const pendingCounts = outbox.items.reduce((counts, item) => ({
+    ...counts,
+    [item.conversationId]: (counts[item.conversationId] || 0) + 1
+  }), {})
+  const setMessages = (update) => {
+    updateConversation(conversationId, c => ({
+      messages: typeof update === 'function' ? update(c.messages) : update
+    }))
+  }
+  const setVerboseMode = (verbose) => {
+    updateConversation(conversationId, { verbose })
+  }
+
+  const handleProfileChange = (profileId) => {
+    setBackendProfile(profileId)
+    setBackendProfileState(profileId)
+    setBackendUrl(getApiBaseUrl())
+    endSessionIfBackendChanged()
+  }
+
+  const handleUsageSettingsChange = (settings) => {
+    setUsageSettings(settings)
+    setUsageSettingsState(settings)
+  }
 
+  const handleTemplatesChange = (next) => {
+    saveTemplates(next)
+    setTemplates(next)
+  }
+
+  const handleToolApprovalChange = (settings) => {
+    setToolApprovalSettings(settings)
+    setToolApprovalState(settings)
+  }
+
+  // Sends a prompt as the next turn after `priorMessages`. Regenerate and
+  // edit & resend pass a truncated list so later turns are replaced.
+  const submitPrompt = async (currentPrompt, priorMessages, promptAttachments = EMPTY_ATTACHMENTS) => {
     // Clear any previous errors
     setError(null)
 
     const userMessage = {
       id: Date.now(),
       type: 'user',
-      content: inputMessage,
-      timestamp: new Date().toLocaleTimeString()
+      content: currentPrompt,
+      timestamp: new Date().toLocaleTimeString(),
+      ...(hasAttachments(promptAttachments) && { attachments: promptAttachments })
     }
     
-    setMessages(prev => [...prev, userMessage])
-    const currentPrompt = inputMessage
-    setInputMessage('')
+    const { history } = buildConversationContext(priorMessages, {
+      contextStartId: activeConversation.contextStartId,
+      maxChars: activeConversation.contextBudget
+    })
+    setMessages([...priorMessages, userMessage])
+    if (activeConversation.title === DEFAULT_CONVERSATION_TITLE) {
+      renameConversation(conversationId, titleFromPrompt(currentPrompt))
+    }
     setIsTyping(true)
 
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+
+    const aiMessageId = Date.now() + 1
+
+    // Adds the AI bubble on the first streamed event, then patches it in place
+    const updateStreamingMessage = (update) => {
+      setMessages(prev => {
+        if (!prev.some(m => m.id === aiMessageId)) {
+          return [...prev, update({
+            id: aiMessageId,
+            type: 'ai',
+            content: '',
+            timestamp: new Date().toLocaleTimeString(),
+            functionCalls: [],
+            // The repository can change later; usage is counted against this one
+            workingDirectory,
+            streaming: true
+          })]
+        }
+        return prev.map(m => m.id === aiMessageId ? update(m) : m)
+      })
+    }
+
+    const finishStreamingMessage = () => {
+      setMessages(prev => prev.map(m => 
+        m.id === aiMessageId
+          ? {
+            ...m,
+            streaming: false,
+            functionCalls: settleFunctionCalls(m.functionCalls),
+            ...(m.approvals && { approvals: settleApprovals(m.approvals) }),
+            ...(m.commands && { commands: settleCommands(m.commands) })
+          }
+          : m
+      ))
+    }
+
     try {
-      // Send request to backend
-      const response = await sendPrompt({
+      // Send request to backend, rendering partial output as it streams in
+      const response = await streamPrompt({
         prompt: currentPrompt,
         workingDirectory: workingDirectory,
-        verbose: verboseMode
+        repoRef: repositoryRef,
+        verbose: verboseMode,
+        history,
+        contextFiles: promptAttachments.files,
+        contextSnippets: promptAttachments.snippets.map(({ name, content }) => ({ name, content })),
+        toolApproval: {
+          enabled: toolApproval.enabled,
+          policies: buildToolPolicies(toolApproval, sessionAllowedTools)
+        },
+        runSettings,
+        signal: abortController.signal,
+        onToken: (token) => {
+          updateStreamingMessage(m => ({ ...m, content: m.content + token }))
+        },
+        onFunctionCallStart: (call) => {
+          updateStreamingMessage(m => ({
+            ...m,
+            functionCalls: startFunctionCall(m.functionCalls, call),
+            touchedFiles: [...new Set([...(m.touchedFiles || []), ...extractTouchedFiles([call])])]
+          }))
+        },
+        onFunctionCallEnd: (call) => {
+          updateStreamingMessage(m => ({
+            ...m,
+            functionCalls: finishFunctionCall(m.functionCalls, call)
+          }))
+        },
+        onApprovalRequired: (event) => {
+          updateStreamingMessage(m => ({ ...m, approvals: startApproval(m.approvals, event) }))
+          if (sessionAllowedToolsRef.current.has(event.name)) {
+            decideApproval(aiMessageId, { id: event.approval_id ?? event.id }, 'approve')
+          }
+        },
+        onCommandStart: (event) => {
+          updateStreamingMessage(m => ({ ...m, commands: startCommand(m.commands, event) }))
+          setShowTerminal(true)
+        },
+        onCommandOutput: (event) => {
+          updateStreamingMessage(m => ({ ...m, commands: appendCommandOutput(m.commands, event) }))
+        },
+        onCommandEnd: (event) => {
+          updateStreamingMessage(m => ({ ...m, commands: finishCommand(m.commands, event) }))
+        }
       })
 
       if (response.success) {
         // Add AI response with real data
-        const aiMessage = {
-          id: Date.now() + 1,
-          type: 'ai',
+        updateStreamingMessage(m => ({
+          ...m,
           content: response.finalResponse,
-          timestamp: new Date().toLocaleTimeString(),
-          functionCalls: response.functionCalls?.map(fc => fc.name) || [],
+          functionCalls: mergeFunctionCalls(m.functionCalls, response.functionCalls),
+          touchedFiles: extractTouchedFiles(response.functionCalls),
           tokenCount: response.tokenCounts,
           iterations: response.totalIterations,
-          repositoryInfo: response.repositoryInfo
+          repositoryInfo: response.repositoryInfo,
+          model: response.model,
+          runSettings: effectiveRunSettings(runSettings, response),
+          completedAt: Date.now(),
+          streaming: false
+        }))
+
+        const usage = getMessageUsage({ tokenCount: response.tokenCounts })
+        if (usage) {
+          const warnings = getBudgetWarnings(usage.totalTokens, countTokens(priorMessages), usageSettings)
+          if (warnings.length > 0) {
+            setMessages(prev => [...prev, {
+              id: Date.now() + 2,
+              type: 'system',
+              content: warnings.map(warning => `⚠️ ${warning}`).join('\n'),
+              timestamp: new Date().toLocaleTimeString()
+            }])
+          }
         }
-        setMessages(prev => [...prev, aiMessage])
       } else {
+        finishStreamingMessage()
+
         // Handle backend errors
         const errorMessage = {
-          id: Date.now() + 1,
+          id: Date.now() + 2,
           type: 'error',
           content: `Error: ${response.error || 'Unknown error occurred'}`,
           timestamp: new Date().toLocaleTimeString()
@@ -87,96 +379,335 @@ function App() {
         setMessages(prev => [...prev, errorMessage])
       }
     } catch (error) {
+      finishStreamingMessage()
+
+      if (error.name === 'AbortError') {
+        const stoppedMessage = {
+          id: Date.now() + 2,
+          type: 'system',
+          content: '⏹️ Response stopped.',
+          timestamp: new Date().toLocaleTimeString()
+        }
+        setMessages(prev => [...prev, stoppedMessage])
+        return
+      }
+
       console.error('API Error:', error)
       
       // Add error message to chat
       const errorMessage = {
-        id: Date.now() + 1,
+        id: Date.now() + 2,
         type: 'error',
-        content: `Failed to process request: ${error.message}`,
+        content: `Failed to process request: ${describeError(error)}`,
         timestamp: new Date().toLocaleTimeString()
       }
       setMessages(prev => [...prev, errorMessage])
       
       // Set general error state
-      setError(error.message)
+      setError(describeError(error))
     } finally {
+      abortControllerRef.current = null
       setIsTyping(false)
     }
   }
 
-  const handleDirectoryChange = async () => {
-    const newPath = prompt(
-      'Enter Git repository URL (e.g., https://github.com/user/repo) or local directory path:', 
-      workingDirectory
-    )
-    if (!newPath) return
+  const handleSendMessage = (e) => {
+    e.preventDefault()
+    if (!inputMessage.trim() || isTyping) return
 
-    setIsTyping(true)
-    try {
-      // Check if it's a Git URL
-      const isGitUrl = newPath.includes('github.com') || newPath.includes('gitlab.com') || newPath.includes('.git') || newPath.startsWith('https://') || newPath.startsWith('http://')
-      
-      if (isGitUrl) {
-        // Validate Git repository
-        const validation = await validateRepository(newPath)
-        
-        if (validation.valid) {
-          setWorkingDirectory(newPath)
-          setError(null)
-          
-          const confirmMessage = {
-            id: Date.now(),
-            type: 'system',
-            content: `✅ Git repository connected: ${newPath}\n🔗 Branch: ${validation.branch || 'main'}\n📊 ${validation.code_files || 0} code files, ${validation.total_files || 0} total files (${validation.size_mb || 0}MB)\n📝 Last commit: ${validation.last_commit || 'Unknown'}`,
-            timestamp: new Date().toLocaleTimeString()
-          }
-          setMessages(prev => [...prev, confirmMessage])
-        } else {
-          setError(`Repository validation failed: ${validation.error}`)
-          
-          const errorMessage = {
-            id: Date.now(),
-            type: 'error',
-            content: `❌ Git repository validation failed: ${validation.error}`,
-            timestamp: new Date().toLocaleTimeString()
-          }
-          setMessages(prev => [...prev, errorMessage])
+    const command = resolveSlashCommand(inputMessage, commands, attachments)
+    if (command?.error) {
+      setError(command.error)
+      return
+    }
+    setError(null)
+    if (command?.action) {
+      setInputMessage('')
+      runCommandAction(command)
+      return
+    }
+    const prompt = command?.prompt ?? inputMessage
+    const nextHistory = addPromptToHistory(promptHistory, inputMessage)
+    savePromptHistory(nextHistory)
+    setPromptHistory(nextHistory)
+
+    // Hold the prompt until the health monitor sees the backend again. While
+    // earlier prompts are still queued it waits behind them to keep the order.
+    if (!backendStatus.healthy || pendingPrompts.length > 0) {
+      outbox.enqueue({ conversationId, prompt, attachments })
+      setInputMessage('')
+      setAttachments(EMPTY_ATTACHMENTS)
+      if (!backendStatus.healthy) backendStatus.recheck()
+      return
+    }
+
+    submitPrompt(prompt, messages, attachments)
+    setInputMessage('')
+    setAttachments(EMPTY_ATTACHMENTS)
+  }
+
+  // Slash commands that act on the app instead of sending a prompt
+  const runCommandAction = async ({ action, args }) => {
+    if (action === 'clear') {
+      updateConversation(conversationId, { messages: [createWelcomeMessage()], contextStartId: null })
+      return
+    }
+
+    if (action === 'repo') {
+      const target = parseRepoArgs(args)
+      if (!target) {
+        setError('Usage: /repo <git url or local path> [branch or commit]')
+        return
+      }
+
+      // Same validation the repository picker runs before connecting
+      setIsTyping(true)
+      try {
+        const validation = target.type === 'git'
+          ? await validateRepository(target.path, { ref: target.ref })
+          : await validateDirectory(target.path)
+        if (!validation.valid) {
+          const reason = target.type === 'git' && isRepositoryAuthFailure(validation)
+            ? `${describeRepositoryAuthFailure(validation, repositoryHost(target.path))} Add one under Settings → Repository credentials.`
+            : validation.error || 'Validation failed'
+          setError(`Could not connect ${target.path}: ${reason}`)
+          return
         }
-      } else {
-        // Handle as local directory
-        const validation = await validateDirectory(newPath)
-        
-        if (validation.valid) {
-          setWorkingDirectory(newPath)
-          setError(null)
-          
-          const confirmMessage = {
-            id: Date.now(),
-            type: 'system',
-            content: validation.type === 'git_repository' 
-              ? `✅ Git repository connected: ${newPath}\n📊 ${validation.code_files || 0} code files, ${validation.total_files || 0} total files`
-              : `✅ Working directory changed to: ${newPath}\n📁 ${validation.fileCount} files, ${validation.dirCount} directories found`,
-            timestamp: new Date().toLocaleTimeString()
-          }
-          setMessages(prev => [...prev, confirmMessage])
+        addRecentRepository(target)
+        handleRepositoryConnect({ ...target, validation })
+      } catch (error) {
+        setError(describeError(error))
+      } finally {
+        setIsTyping(false)
+      }
+    }
+  }
+
+  // Send queued prompts one at a time, oldest first, once the backend is
+  // reachable again. A conversation's prompts go out while it is open, since
+  // replies land in the active conversation, and a prompt being edited holds
+  // the queue so later ones keep their order. The ref keeps the effect from
+  // re-running just because submitPrompt was recreated.
+  const submitPromptRef = useRef(submitPrompt)
+  submitPromptRef.current = submitPrompt
+  const nextPending = pendingPrompts[0]
+  const removeFromOutbox = outbox.remove
+
+  useEffect(() => {
+    if (backendStatus.healthy && nextPending && !nextPending.editing && !isTyping) {
+      removeFromOutbox(nextPending.id)
+      submitPromptRef.current(nextPending.prompt, messages, nextPending.attachments)
+    }
+  }, [backendStatus.healthy, nextPending, isTyping, messages, removeFromOutbox])
+
+  const toggleTrace = (messageId) => {
+    setExpandedTraces(prev => {
+      const next = new Set(prev)
+      if (next.has(messageId)) next.delete(messageId)
+      else next.add(messageId)
+      return next
+    })
+  }
+
+  const reviewMessage = messages.find(m => m.id === reviewMessageId)
+
+  const updateMessage = (messageId, update) => {
+    setMessages(prev => prev.map(m => (m.id === messageId ? { ...m, ...update(m) } : m)))
+  }
+
+  const handleChangeDecision = (key, decision) => {
+    updateMessage(reviewMessageId, m => ({ changeDecisions: { ...m.changeDecisions, [key]: decision } }))
+  }
+
+  const handleChangeDecisionAll = (keys, decision) => {
+    updateMessage(reviewMessageId, m => ({
+      changeDecisions: { ...m.changeDecisions, ...Object.fromEntries(keys.map(key => [key, decision])) }
+    }))
+  }
+
+  const handleChangeResolved = (changeId, resolved) => {
+    updateMessage(reviewMessageId, m => ({ resolvedChanges: { ...m.resolvedChanges, [changeId]: resolved } }))
+  }
+
+  // Sends the accepted hunks to the backend as one patch against the
+  // connected repository
+  const handleApplyChanges = async () => {
+    const patch = buildAcceptedPatch(reviewMessage)
+    if (!patch) return
+
+    setIsApplyingChanges(true)
+    let content
+    try {
+      const result = await applyCodeChanges({ workingDirectory, repoRef: repositoryRef, patch })
+      const files = result.files || []
+      content = `✅ Applied accepted changes${files.length > 0 ? ` to ${files.length} file${files.length === 1 ? '' : 's'}:\n${files.map(f => `• ${f}`).join('\n')}` : ''}`
+      updateMessage(reviewMessage.id, () => ({ changesApplied: true }))
+      setReviewMessageId(null)
+    } catch (error) {
+      console.error('Apply Error:', error)
+      content = `❌ Failed to apply changes: ${describeError(error)}`
+    } finally {
+      setIsApplyingChanges(false)
+    }
+
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      type: 'system',
+      content,
+      timestamp: new Date().toLocaleTimeString()
+    }])
+  }
+
+  // Builds the export in the browser from every change proposed in this
+  // conversation; the backend is only asked for the current file contents
+  const handleExportChanges = async (format) => {
+    setIsExportingChanges(true)
+    setError(null)
+    try {
+      const { files, skipped } = await buildChangeSet(messages, { workingDirectory, repoRef: repositoryRef })
+      const slug = repositorySlug(workingDirectory)
+
+      if (files.length > 0) {
+        if (format === 'zip') {
+          downloadFile(`${slug}-changes.zip`, await buildChangeSetZip(files, slug))
         } else {
-          setError(`Invalid directory: ${validation.error}`)
-          
-          const errorMessage = {
-            id: Date.now(),
-            type: 'error',
-            content: `❌ Directory validation failed: ${validation.error}`,
-            timestamp: new Date().toLocaleTimeString()
-          }
-          setMessages(prev => [...prev, errorMessage])
+          downloadFile(`${slug}-changes.patch`, formatChangeSetPatch(files), 'text/x-diff')
         }
       }
+
+      if (files.length === 0 || skipped.length > 0) {
+        const content = files.length === 0
+          ? '⚠️ Nothing to export: the proposed changes match the current files.'
+          : `⚠️ Exported ${files.length} file${files.length === 1 ? '' : 's'}. These changes no longer apply to the current files and were left out:\n${skipped.map(path => `• ${path}`).join('\n')}`
+        setMessages(prev => [...prev, {
+          id: Date.now(),
+          type: 'system',
+          content,
+          timestamp: new Date().toLocaleTimeString()
+        }])
+      }
     } catch (error) {
-      setError(`Failed to validate: ${error.message}`)
+      console.error('Export Error:', error)
+      setError(`Failed to export changes: ${describeError(error)}`)
     } finally {
-      setIsTyping(false)
+      setIsExportingChanges(false)
+    }
+  }
+
+  const handleExportConversation = async (format) => {
+    const filename = (activeConversation.title.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'conversation').toLowerCase()
+    try {
+      if (format === 'markdown') {
+        downloadFile(`${filename}.md`, conversationToMarkdown(activeConversation), 'text/markdown')
+      } else if (format === 'json') {
+        downloadFile(`${filename}.json`, conversationToJson(activeConversation), 'application/json')
+      } else {
+        downloadFile(`${filename}.html`, await conversationToHtml(activeConversation), 'text/html')
+      }
+    } catch (error) {
+      console.error('Export Error:', error)
+      setError(`Failed to export conversation: ${error.message}`)
+    }
+  }
+
+  const handleImportConversation = async (file) => {
+    try {
+      importConversation(parseConversationImport(await file.text()))
+      setError(null)
+    } catch (error) {
+      setError(`Could not import ${file.name}: ${error.message}`)
+    }
+  }
+
+  // Answers a paused tool call. The card updates straight away and goes back
+  // to pending if the backend didn't get the answer.
+  const decideApproval = async (messageId, approval, decision) => {
+    const status = decision === 'deny' ? 'denied' : 'approved'
+    updateMessage(messageId, m => ({ approvals: resolveApproval(m.approvals, approval.id, status) }))
+
+    try {
+      await respondToApproval({ approvalId: approval.id, decision: decision === 'deny' ? 'deny' : 'approve' })
+    } catch (error) {
+      updateMessage(messageId, m => ({ approvals: resolveApproval(m.approvals, approval.id, 'pending') }))
+      setError(`Could not send your answer for ${approval.name || 'the tool call'}: ${describeError(error)}`)
+    }
+  }
+
+  const handleApprovalDecision = (messageId, approval, decision) => {
+    if (decision === 'always') {
+      setSessionAllowedTools(prev => new Set(prev).add(approval.name))
+    }
+    decideApproval(messageId, approval, decision)
+  }
+
+  const handleKillCommand = async (command) => {
+    updateMessage(command.messageId, m => ({ commands: markKillRequested(m.commands, command.id) }))
+
+    try {
+      await killCommand({ commandId: command.id })
+    } catch (error) {
+      updateMessage(command.messageId, m => ({ commands: markKillRequested(m.commands, command.id, false) }))
+      setError(`Could not stop \`${command.command}\`: ${describeError(error)}`)
+    }
+  }
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort()
+  }
+
+  // Resends the prompt that produced an AI reply, replacing that reply and
+  // everything after it
+  const handleRegenerate = (messageId) => {
+    const index = messages.findIndex(m => m.id === messageId)
+    const promptIndex = messages.slice(0, index).findLastIndex(m => m.type === 'user')
+    if (promptIndex === -1 || isTyping) return
+
+    const { content, attachments: promptAttachments } = messages[promptIndex]
+    submitPrompt(content, messages.slice(0, promptIndex), promptAttachments)
+  }
+
+  const startEditing = (message) => {
+    setEditingMessageId(message.id)
+    setEditDraft(message.content)
+  }
+
+  const handleEditResend = (e) => {
+    e.preventDefault()
+    const index = messages.findIndex(m => m.id === editingMessageId)
+    setEditingMessageId(null)
+    if (index === -1 || !editDraft.trim() || isTyping) return
+
+    submitPrompt(editDraft, messages.slice(0, index), messages[index].attachments)
+  }
+
+  const handleRepositoryConnect = ({ type, path, ref, validation }) => {
+    setShowRepositoryPicker(false)
+    updateConversation(conversationId, {
+      workingDirectory: path,
+      repositoryType: type,
+      repositoryRef: ref
+    })
+    setError(null)
+
+    let content
+    if (type === 'git') {
+      const refLine = ref
+        ? `🔖 ${ref.type.charAt(0).toUpperCase()}${ref.type.slice(1)}: ${ref.name}`
+        : `🔗 Branch: ${validation.branch || 'main'}`
+      content = `✅ Git repository connected: ${path}\n${refLine}\n📊 ${validation.code_files || 0} code files, ${validation.total_files || 0} total files (${validation.size_mb || 0}MB)\n📝 Last commit: ${validation.last_commit || 'Unknown'}`
+    } else {
+      content = validation.type === 'git_repository' 
+        ? `✅ Git repository connected: ${path}\n📊 ${validation.code_files || 0} code files, ${validation.total_files || 0} total files`
+        : `✅ Working directory changed to: ${path}\n📁 ${validation.fileCount} files, ${validation.dirCount} directories found`
     }
+
+    const confirmMessage = {
+      id: Date.now(),
+      type: 'system',
+      content,
+      timestamp: new Date().toLocaleTimeString()
+    }
+    setMessages(prev => [...prev, confirmMessage])
   }
 
   const handleSlideUp = () => {
@@ -187,6 +718,42 @@ function App() {
     setError(null)
   }
 
+  // Later prompts are sent without the earlier turns, but they stay on screen
+  const handleResetContext = () => {
+    const resetMessage = {
+      id: Date.now(),
+      type: 'system',
+      content: '🧹 Started a fresh context. Earlier messages will not be sent with new prompts.',
+      timestamp: new Date().toLocaleTimeString()
+    }
+    updateConversation(conversationId, c => ({
+      messages: [...c.messages, resetMessage],
+      contextStartId: resetMessage.id
+    }))
+  }
+
+  const handleDeleteConversation = (id) => {
+    deleteConversation(id)
+    outbox.removeConversation(id)
+  }
+
+  const handleNewConversation = () => {
+    newConversation({ workingDirectory, repositoryType, repositoryRef, verbose: verboseMode, runSettings })
+    setError(null)
+  }
+
+  // Off while the cover page is up, since the chat isn't visible yet
+  useKeyboardShortcuts(showCover ? {} : {
+    newChat: () => {
+      if (!isTyping) handleNewConversation()
+    },
+    focusInput: () => inputRef.current?.focus(),
+    toggleVerbose: () => setVerboseMode(!verboseMode),
+    changeRepository: () => {
+      if (!isTyping) setShowRepositoryPicker(true)
+    }
+  })
+
   return (
     <div className="relative min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
   
@@ -205,13 +772,36 @@ function App() {
   </div>
 
   {/* Main Chat Interface */}
-  <div className="relative min-h-screen flex items-center justify-center p-4">
+  <div className="relative min-h-screen flex items-center justify-center p-4 space-x-4">
+    {showSidebar && (
+      <ConversationSidebar
+        conversations={conversations}
+        activeId={activeConversation.id}
+        disabled={isTyping}
+        onSelect={selectConversation}
+        onNew={handleNewConversation}
+        onImport={handleImportConversation}
+        onRename={renameConversation}
+        onDelete={handleDeleteConversation}
+        pendingCounts={pendingCounts}
+      />
+    )}
+
     <div className="bg-white/10 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-2xl h-[650px] flex flex-col overflow-hidden">
       
       {/* Enhanced Header */}
       <div className="bg-gradient-to-r from-slate-800/50 to-purple-800/50 backdrop-blur-sm px-6 py-4 border-b border-white/10 rounded-t-2xl">
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setShowSidebar(!showSidebar)}
+              title={showSidebar ? 'Hide conversations' : 'Show conversations'}
+              className="text-slate-300 hover:text-white transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+              </svg>
+            </button>
             {/* Enhanced Logo */}
             <div className="relative">
               <div className="absolute inset-0 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full blur-sm opacity-50"></div>
@@ -228,23 +818,67 @@ function App() {
           </div>
           
           {/* Enhanced Backend Status Indicator */}
-          <div className="flex items-center space-x-2">
-            {backendStatus.checking ? (
-              <div className="flex items-center space-x-2 text-slate-300">
-                <div className="w-3 h-3 bg-slate-400 rounded-full animate-pulse"></div>
-                <span className="text-xs">Checking...</span>
-              </div>
-            ) : backendStatus.healthy ? (
-              <div className="flex items-center space-x-2 text-green-400">
-                <div className="w-3 h-3 bg-green-400 rounded-full shadow-green-400/50 shadow-lg animate-pulse"></div>
-                <span className="text-xs font-medium">Connected</span>
-              </div>
-            ) : (
-              <div className="flex items-center space-x-2 text-red-400">
-                <div className="w-3 h-3 bg-red-400 rounded-full shadow-red-400/50 shadow-lg animate-pulse"></div>
-                <span className="text-xs font-medium">Disconnected</span>
-              </div>
-            )}
+          <div className="flex items-center space-x-3">
+            <select
+              value={backendProfile}
+              onChange={(e) => handleProfileChange(e.target.value)}
+              disabled={isTyping}
+              title={getApiBaseUrl()}
+              className="bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-1 text-xs text-slate-300 focus:outline-none disabled:opacity-50"
+            >
+              {getAvailableProfiles().map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.label}</option>
+              ))}
+            </select>
+            <div
+              className="flex flex-col items-end"
+              title={backendStatus.lastChecked ? `Last checked ${backendStatus.lastChecked.toLocaleTimeString()}` : undefined}
+            >
+              {backendStatus.status === 'checking' ? (
+                <div className="flex items-center space-x-2 text-slate-300">
+                  <div className="w-3 h-3 bg-slate-400 rounded-full animate-pulse"></div>
+                  <span className="text-xs">Checking...</span>
+                </div>
+              ) : backendStatus.status === 'healthy' ? (
+                <div className="flex items-center space-x-2 text-green-400">
+                  <div className="w-3 h-3 bg-green-400 rounded-full shadow-green-400/50 shadow-lg animate-pulse"></div>
+                  <span className="text-xs font-medium">Connected</span>
+                </div>
+              ) : backendStatus.status === 'waking' ? (
+                <div className="flex items-center space-x-2 text-amber-400">
+                  <div className="w-3 h-3 bg-amber-400 rounded-full shadow-amber-400/50 shadow-lg animate-pulse"></div>
+                  <span className="text-xs font-medium">Waking up...</span>
+                </div>
+              ) : (
+                <div className="flex items-center space-x-2 text-red-400">
+                  <div className="w-3 h-3 bg-red-400 rounded-full shadow-red-400/50 shadow-lg animate-pulse"></div>
+                  <span className="text-xs font-medium">Disconnected</span>
+                </div>
+              )}
+              {backendStatus.lastChecked && (
+                <span className="text-[10px] text-slate-400">
+                  {backendStatus.healthy && `${backendStatus.latency}ms · `}
+                  {backendStatus.lastChecked.toLocaleTimeString()}
+                </span>
+              )}
+            </div>
+            <ExportMenu
+              label="Share"
+              formats={CONVERSATION_EXPORT_FORMATS}
+              title="Export this conversation"
+              disabled={isTyping}
+              onExport={handleExportConversation}
+            />
+            <UserMenu />
+            <button
+              onClick={() => setShowSettings(true)}
+              title="Settings"
+              className="text-slate-300 hover:text-white transition-colors"
+            >
+              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M19.14 12.94a7.07 7.07 0 000-1.88l2.03-1.58a.5.5 0 00.12-.64l-1.92-3.32a.5.5 0 00-.61-.22l-2.39.96a7.03 7.03 0 00-1.62-.94l-.36-2.54a.5.5 0 00-.5-.42h-3.84a.5.5 0 00-.49.42l-.36 2.54c-.59.24-1.13.56-1.62.94l-2.39-.96a.5.5 0 00-.61.22L2.66 8.84a.49.49 0 00.12.64l2.03 1.58a7.07 7.07 0 000 1.88l-2.03 1.58a.5.5 0 00-.12.64l1.92 3.32c.12.22.37.3.61.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.25.42.49.42h3.84c.24 0 .45-.18.49-.42l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.49 0 .61-.22l1.92-3.32a.5.5 0 00-.12-.64l-2.03-1.58zM12 15.6a3.6 3.6 0 110-7.2 3.6 3.6 0 010 7.2z"/>
+              </svg>
+            </button>
           </div>
         </div>
       </div>
@@ -273,12 +907,56 @@ function App() {
         </div>
       )}
 
+      {/* New Build Notice */}
+      {appUpdate.updateReady && (
+        <div className="backdrop-blur-sm border p-3 mx-4 mt-4 rounded-xl flex items-center justify-between text-sm bg-blue-500/10 border-blue-500/20 text-blue-200">
+          <span>A new version of Code Buddy is available.</span>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={appUpdate.dismissUpdate}
+              className="text-xs px-3 py-1 text-blue-300 hover:text-blue-100 transition-colors"
+            >
+              Later
+            </button>
+            <button
+              onClick={appUpdate.applyUpdate}
+              disabled={isTyping}
+              title={isTyping ? 'Wait for the current reply to finish' : undefined}
+              className="text-xs px-3 py-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded-full border border-white/20 transition-colors"
+            >
+              Reload
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Backend Health Notice */}
+      {(backendStatus.status === 'waking' || backendStatus.status === 'down') && (
+        <div className={`backdrop-blur-sm border p-3 mx-4 mt-4 rounded-xl flex items-center justify-between text-sm ${
+          backendStatus.status === 'waking'
+            ? 'bg-amber-500/10 border-amber-500/20 text-amber-200'
+            : 'bg-red-500/10 border-red-500/20 text-red-200'
+        }`}>
+          <span>
+            {backendStatus.status === 'waking'
+              ? 'The backend is waking up from sleep. This can take up to a minute.'
+              : `Backend at ${getApiBaseUrl()} is not available. ${backendStatus.error || 'Please start the Flask server.'}`}
+          </span>
+          <button
+            onClick={backendStatus.recheck}
+            className="ml-3 text-xs px-3 py-1 bg-white/10 hover:bg-white/20 rounded-full border border-white/20 transition-colors"
+          >
+            Retry
+          </button>
+        </div>
+      )}
+
       {/* Enhanced Working Directory Section */}
       <div className="bg-slate-800/30 backdrop-blur-sm px-6 py-3 border-b border-white/10">
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-2">
             <div className="w-6 h-6 bg-blue-500/20 rounded-lg flex items-center justify-center">
-              {workingDirectory.includes('github.com') || workingDirectory.includes('gitlab.com') || workingDirectory.includes('.git') ? (
+              {repositoryType === 'git' ? (
                 <svg className="w-4 h-4 text-blue-400" fill="currentColor" viewBox="0 0 24 24">
                   <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
                 </svg>
@@ -289,24 +967,59 @@ function App() {
               )}
             </div>
             <span className="text-sm font-medium text-slate-200">
-              {workingDirectory.includes('github.com') || workingDirectory.includes('gitlab.com') || workingDirectory.includes('.git') 
+              {repositoryType === 'git'
                 ? 'Git Repository:' 
                 : 'Working Directory:'}
             </span>
           </div>
-          <button 
-            onClick={handleDirectoryChange}
-            disabled={isTyping}
-            className="text-xs text-blue-400 hover:text-blue-300 font-medium disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
-          >
-            Change
-          </button>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setShowFileTree(!showFileTree)}
+              className={`text-xs font-medium px-3 py-1 rounded-full border transition-colors ${
+                showFileTree
+                  ? 'text-white bg-blue-500/30 border-blue-500/40'
+                  : 'text-blue-400 hover:text-blue-300 bg-blue-500/10 border-blue-500/20'
+              }`}
+            >
+              Files
+            </button>
+            <button
+              onClick={() => setShowTerminal(!showTerminal)}
+              className={`text-xs font-medium px-3 py-1 rounded-full border transition-colors ${
+                showTerminal
+                  ? 'text-white bg-blue-500/30 border-blue-500/40'
+                  : 'text-blue-400 hover:text-blue-300 bg-blue-500/10 border-blue-500/20'
+              }`}
+            >
+              Terminal
+              {terminalCommands.some(command => command.status === 'running') && (
+                <span className="ml-1.5 inline-block w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse"></span>
+              )}
+            </button>
+            <ExportMenu
+              formats={CHANGE_EXPORT_FORMATS}
+              title="Download accepted code changes (replies not yet reviewed are included in full)"
+              disabled={![...changeCounts.values()].some(count => count > 0)}
+              isExporting={isExportingChanges}
+              onExport={handleExportChanges}
+            />
+            <button 
+              onClick={() => setShowRepositoryPicker(true)}
+              disabled={isTyping}
+              className="text-xs text-blue-400 hover:text-blue-300 font-medium disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+            >
+              Change
+            </button>
+          </div>
         </div>
         <div className="mt-2">
           <div className="bg-slate-900/50 backdrop-blur-sm border border-slate-700 rounded-lg px-3 py-2">
             <code className="text-sm text-slate-300 font-mono break-all">
               {workingDirectory}
             </code>
+            {repositoryRef && (
+              <span className="ml-2 text-xs text-purple-300 font-mono">@ {formatRef(repositoryRef)}</span>
+            )}
           </div>
         </div>
       </div>
@@ -315,7 +1028,7 @@ function App() {
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
         {messages.map((message) => (
           <div key={message.id} className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}>
-            <div className={`max-w-xs lg:max-w-md px-4 py-3 rounded-2xl backdrop-blur-sm border shadow-lg ${
+            <div className={`min-w-0 max-w-xs lg:max-w-md px-4 py-3 rounded-2xl backdrop-blur-sm border shadow-lg ${
               message.type === 'user' 
                 ? 'bg-gradient-to-r from-blue-500 to-purple-500 text-white border-white/20' 
                 : message.type === 'error'
@@ -324,24 +1037,95 @@ function App() {
                 ? 'bg-green-500/10 text-green-200 border-green-500/20'
                 : 'bg-slate-700/50 text-slate-200 border-slate-600/30'
             }`}>
-              <div className="whitespace-pre-wrap text-sm leading-relaxed">{message.content}</div>
+              {editingMessageId === message.id ? (
+                <form onSubmit={handleEditResend} className="space-y-2">
+                  <textarea
+                    autoFocus
+                    value={editDraft}
+                    onChange={(e) => setEditDraft(e.target.value)}
+                    rows={3}
+                    className="w-full bg-slate-900/50 border border-white/20 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:ring-1 focus:ring-white/50"
+                  />
+                  <div className="flex justify-end space-x-2 text-xs">
+                    <button type="button" onClick={() => setEditingMessageId(null)} className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={!editDraft.trim() || isTyping} className="px-3 py-1 rounded-full bg-white/20 hover:bg-white/30 disabled:opacity-50">
+                      Send
+                    </button>
+                  </div>
+                </form>
+              ) : message.type === 'ai' ? (
+                <MarkdownMessage content={message.content} />
+              ) : (
+                <div className="whitespace-pre-wrap text-sm leading-relaxed">{message.content}</div>
+              )}
+              {message.attachments && editingMessageId !== message.id && (
+                <div className="mt-2">
+                  <AttachmentChips attachments={message.attachments} />
+                </div>
+              )}
+              {message.streaming && (
+                <span className="inline-block w-2 h-4 mt-1 bg-blue-400 animate-pulse"></span>
+              )}
               
               {message.functionCalls && message.functionCalls.length > 0 && (
-                <div className="mt-3 flex flex-wrap gap-2">
-                  {message.functionCalls.map((fn, idx) => (
-                    <span key={idx} className="bg-white/10 backdrop-blur-sm text-xs px-3 py-1 rounded-full border border-white/20">
-                      <span className='text-green-600'>#</span> {fn}
-                    </span>
-                  ))}
+                <div className="mt-3">
+                  <div className="flex flex-wrap gap-2">
+                    {message.functionCalls.map(toFunctionCallRecord).map((fn, idx) => (
+                      <span key={idx} className="bg-white/10 backdrop-blur-sm text-xs px-3 py-1 rounded-full border border-white/20">
+                        {fn.status === 'running' ? (
+                          <span className="inline-block w-2 h-2 mr-1 bg-yellow-400 rounded-full animate-pulse"></span>
+                        ) : (
+                          <span className='text-green-600'>#</span>
+                        )} {fn.name}
+                      </span>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => toggleTrace(message.id)}
+                    className="mt-2 text-xs text-blue-400 hover:text-blue-300 transition-colors"
+                  >
+                    {expandedTraces.has(message.id) ? '▾ Hide tool trace' : '▸ Show tool trace'}
+                  </button>
+                  {expandedTraces.has(message.id) && (
+                    <FunctionCallTrace calls={message.functionCalls.map(toFunctionCallRecord)} />
+                  )}
                 </div>
               )}
               
+              {changeCounts.get(message.id) > 0 && (
+                <button
+                  onClick={() => setReviewMessageId(message.id)}
+                  className="mt-3 flex items-center space-x-2 text-xs bg-white/10 hover:bg-white/20 border border-white/20 px-3 py-1.5 rounded-lg transition-colors"
+                >
+                  <span>📝 {changeCounts.get(message.id)} proposed file change{changeCounts.get(message.id) === 1 ? '' : 's'}</span>
+                  <span className="text-blue-300">{message.changesApplied ? '· Applied ✓' : '· Review'}</span>
+                </button>
+              )}
+
+              {message.approvals?.map(approval => (
+                <ApprovalCard
+                  key={approval.id}
+                  approval={approval}
+                  onDecide={(item, decision) => handleApprovalDecision(message.id, item, decision)}
+                />
+              ))}
+
               {message.iterations && (
                 <div className="mt-2 text-xs opacity-80 flex items-center space-x-1">
                   <div className="w-3 h-3 bg-current rounded-full opacity-50"></div>
                   <span>{message.iterations} iterations</span>
                 </div>
               )}
+
+              {message.runSettings && describeRunSettings(message.runSettings).length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-1 text-[11px]" title="Agent settings this reply was produced with">
+                  {describeRunSettings(message.runSettings).map(part => (
+                    <span key={part} className="px-2 py-0.5 rounded-full bg-white/10 border border-white/10 opacity-80">{part}</span>
+                  ))}
+                </div>
+              )}
               
               {message.tokenCount && verboseMode && (
                 <div className="mt-3 text-xs opacity-80 flex space-x-4">
@@ -356,13 +1140,37 @@ function App() {
                 </div>
               )}
               
-              <div className="text-xs mt-2 opacity-60">{message.timestamp}</div>
+              <div className="flex items-center justify-between mt-2 text-xs">
+                <span className="opacity-60">{message.timestamp}</span>
+                {!isTyping && message.type === 'user' && editingMessageId !== message.id && (
+                  <button onClick={() => startEditing(message)} className="ml-3 opacity-60 hover:opacity-100 transition-opacity">
+                    Edit &amp; resend
+                  </button>
+                )}
+                {!isTyping && message.type === 'ai' && !message.isGreeting && (
+                  <button onClick={() => handleRegenerate(message.id)} className="ml-3 text-blue-400 hover:text-blue-300 transition-colors">
+                    ↻ Regenerate
+                  </button>
+                )}
+              </div>
             </div>
           </div>
         ))}
 
-        {/* Enhanced Typing Indicator */}
-        {isTyping && (
+        {pendingPrompts.map((item, index) => (
+          <PendingPromptBubble
+            key={item.id}
+            item={item}
+            isNext={index === 0}
+            backendHealthy={backendStatus.healthy}
+            onSave={(id, prompt) => outbox.update(id, { prompt })}
+            onEditingChange={(id, editing) => outbox.update(id, { editing })}
+            onCancel={outbox.remove}
+          />
+        ))}
+
+        {/* Enhanced Typing Indicator - hidden once the streamed reply has started */}
+        {isTyping && !messages.some(m => m.streaming) && (
           <div className="flex justify-start">
             <div className="bg-slate-700/50 backdrop-blur-sm px-4 py-3 rounded-2xl max-w-xs border border-slate-600/30">
               <div className="flex items-center space-x-3">
@@ -380,39 +1188,92 @@ function App() {
 
       {/* Enhanced Input Area */}
       <div className="bg-slate-800/30 backdrop-blur-sm border-t border-white/10 p-4 rounded-b-2xl">
-        <form onSubmit={handleSendMessage} className="flex space-x-3">
-          <div className="flex-1 relative">
-            <input
-              type="text"
-              value={inputMessage}
-              onChange={(e) => setInputMessage(e.target.value)}
-              placeholder={backendStatus.healthy ? "Ask me about your code..." : "Backend disconnected - check Flask server"}
-              disabled={!backendStatus.healthy || isTyping}
-              className="w-full bg-slate-900/50 backdrop-blur-sm border border-slate-600/50 rounded-xl px-4 py-3 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-            />
+        {/* Conversation Context Indicator */}
+        <div className="flex items-center justify-between mb-3 text-xs text-slate-400">
+          <span title={`~${estimateTokens(conversationContext.chars)} tokens`}>
+            Context: {conversationContext.history.length} messages
+            {conversationContext.omitted > 0 && ` (${conversationContext.omitted} older trimmed)`}
+          </span>
+          <div className="flex items-center space-x-2">
+            <button
+              type="button"
+              onClick={() => setShowUsage(true)}
+              title="Token usage and cost"
+              className={`px-2 py-1 rounded-lg border transition-colors ${
+                usageSettings.sessionBudget > 0 && sessionTokens > usageSettings.sessionBudget
+                  ? 'text-amber-300 bg-amber-500/10 border-amber-500/30'
+                  : 'text-slate-300 bg-slate-900/50 border-slate-600/50 hover:text-white'
+              }`}
+            >
+              📊 {formatTokens(sessionTokens)}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowRunSettings(true)}
+              title={['Agent settings', ...describeRunSettings(runSettings)].join('\n')}
+              className="px-2 py-1 rounded-lg border text-slate-300 bg-slate-900/50 border-slate-600/50 hover:text-white transition-colors"
+            >
+              ⚙️ {runSettings.model || 'Default model'}
+            </button>
+            <select
+              value={activeConversation.contextBudget ?? DEFAULT_CONTEXT_BUDGET}
+              onChange={(e) => updateConversation(conversationId, { contextBudget: Number(e.target.value) })}
+              title="Context budget (characters)"
+              className="bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-1 text-slate-300 focus:outline-none"
+            >
+              {CONTEXT_BUDGET_OPTIONS.map(budget => (
+                <option key={budget} value={budget}>{budget / 1000}k chars</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleResetContext}
+              disabled={isTyping || conversationContext.history.length === 0}
+              className="text-blue-400 hover:text-blue-300 disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+            >
+              New context
+            </button>
           </div>
-          <button
-            type="submit"
-            disabled={!inputMessage.trim() || isTyping || !backendStatus.healthy}
-            className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 disabled:from-slate-600 disabled:to-slate-600 text-white px-6 py-3 rounded-xl font-medium transition-all duration-200 disabled:cursor-not-allowed shadow-lg disabled:shadow-none"
-          >
-            {isTyping ? (
-              <div className="flex items-center space-x-2">
-                <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
-                <span>Sending...</span>
-              </div>
-            ) : (
-              <div className="flex items-center space-x-2">
-                <span>Send</span>
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-                </svg>
-              </div>
-            )}
-          </button>
-        </form>
+        </div>
+
+        <ChatComposer
+          value={inputMessage}
+          onChange={setInputMessage}
+          onSubmit={handleSendMessage}
+          onStop={handleStop}
+          attachments={attachments}
+          onAttachmentsChange={setAttachments}
+          repositoryFiles={repositoryFiles}
+          onMentionStart={() => setMentionRequested(true)}
+          commands={commands}
+          promptHistory={promptHistory}
+          inputRef={inputRef}
+          isTyping={isTyping}
+          disabled={isTyping}
+          submitDisabled={!inputMessage.trim()}
+          submitLabel={backendStatus.healthy && pendingPrompts.length === 0 ? 'Send' : 'Queue'}
+          placeholder={backendStatus.healthy
+            ? "Ask me about your code... (@ for files, / for commands)"
+            : "Backend unavailable - prompts will be queued and sent once it's back"}
+        />
       </div>
     </div>
+
+    {showFileTree && (
+      <FileTreePanel
+        listing={repositoryFiles}
+        touchedFiles={touchedFiles}
+        onOpenFile={setOpenFilePath}
+      />
+    )}
+
+    {showTerminal && (
+      <TerminalPanel
+        commands={terminalCommands}
+        onKill={handleKillCommand}
+        onClose={() => setShowTerminal(false)}
+      />
+    )}
   </div>
 
       {/* Cover Page Overlay - Enhanced Version */}
@@ -565,6 +1426,79 @@ function App() {
   </div>
 </div>
 
+      {openFilePath && (
+        <FileViewer
+          path={openFilePath}
+          workingDirectory={workingDirectory}
+          repoRef={repositoryRef}
+          onClose={() => setOpenFilePath(null)}
+        />
+      )}
+
+      {reviewMessage && (
+        <DiffReviewModal
+          changes={getMessageChanges(reviewMessage)}
+          decisions={reviewMessage.changeDecisions || {}}
+          workingDirectory={workingDirectory}
+          repoRef={repositoryRef}
+          isApplying={isApplyingChanges}
+          onDecide={handleChangeDecision}
+          onDecideAll={handleChangeDecisionAll}
+          onResolve={handleChangeResolved}
+          onApply={handleApplyChanges}
+          onClose={() => setReviewMessageId(null)}
+        />
+      )}
+
+      {showRepositoryPicker && (
+        <RepositoryPicker
+          initialType={repositoryType}
+          initialPath={workingDirectory}
+          initialRef={repositoryRef}
+          onConnect={handleRepositoryConnect}
+          onClose={() => setShowRepositoryPicker(false)}
+        />
+      )}
+
+      {showSettings && (
+        <SettingsPanel
+          onClose={() => setShowSettings(false)}
+          backendProfile={backendProfile}
+          onProfileChange={handleProfileChange}
+          usageSettings={usageSettings}
+          onUsageSettingsChange={handleUsageSettingsChange}
+          templates={templates}
+          onTemplatesChange={handleTemplatesChange}
+          toolApproval={toolApproval}
+          onToolApprovalChange={handleToolApprovalChange}
+          sessionAllowedTools={sessionAllowedTools}
+          onResetSessionAllowedTools={() => setSessionAllowedTools(new Set())}
+        />
+      )}
+
+      {showRunSettings && (
+        <RunSettingsPanel
+          settings={runSettings}
+          models={collectModelNames(messages, usageSettings.pricing)}
+          tools={collectToolNames(messages)}
+          onChange={(settings) => updateConversation(conversationId, { runSettings: settings })}
+          onClose={() => setShowRunSettings(false)}
+        />
+      )}
+
+      {showUsage && (
+        <UsagePanel
+          conversations={conversations}
+          activeConversationId={conversationId}
+          usageSettings={usageSettings}
+          onClose={() => setShowUsage(false)}
+          onOpenSettings={() => {
+            setShowUsage(false)
+            setShowSettings(true)
+          }}
+        />
+      )}
+
       {/* Verbose Toggle - Only show when cover is hidden */}
       {!showCover && (
         <div className="fixed bottom-6 right-6 z-50">
@@ -0,0 +1,51 @@
+import JsonBlock from './JsonBlock'
+
+const STATUS_LABELS = {
+  approved: { text: '✓ Approved', className: 'text-green-300' },
+  denied: { text: '✕ Denied', className: 'text-red-300' },
+  expired: { text: 'No answer given', className: 'text-slate-400' }
+}
+
+// The agent is paused until one of the buttons is pressed
+function ApprovalCard({ approval, onDecide }) {
+  const resolved = STATUS_LABELS[approval.status]
+
+  return (
+    <div className={`mt-3 rounded-lg border p-3 ${
+      approval.status === 'pending' ? 'border-amber-400/50 bg-amber-500/10' : 'border-slate-600/50 bg-slate-900/40'
+    }`}>
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-amber-200">
+          {approval.status === 'pending' ? '✋ Approval needed: ' : ''}
+          <span className="font-mono text-white">{approval.name}</span>
+        </span>
+        {resolved && <span className={resolved.className}>{resolved.text}</span>}
+      </div>
+      <JsonBlock label="Arguments" value={approval.args} truncate />
+      {approval.status === 'pending' && (
+        <div className="mt-2 flex flex-wrap gap-2 text-xs">
+          <button
+            onClick={() => onDecide(approval, 'approve')}
+            className="px-3 py-1 rounded-full bg-green-500/20 border border-green-500/40 text-green-200 hover:bg-green-500/30 transition-colors"
+          >
+            Approve
+          </button>
+          <button
+            onClick={() => onDecide(approval, 'deny')}
+            className="px-3 py-1 rounded-full bg-red-500/20 border border-red-500/40 text-red-200 hover:bg-red-500/30 transition-colors"
+          >
+            Deny
+          </button>
+          <button
+            onClick={() => onDecide(approval, 'always')}
+            className="px-3 py-1 rounded-full bg-white/10 border border-white/20 text-slate-200 hover:bg-white/20 transition-colors"
+          >
+            Always allow for this session
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ApprovalCard
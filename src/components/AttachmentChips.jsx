@@ -0,0 +1,84 @@
+import { useState } from 'react'
+
+function SnippetChip({ snippet, onRename, onRemove }) {
+  const [isEditing, setIsEditing] = useState(false)
+  const [draftName, setDraftName] = useState(snippet.name)
+
+  const commitRename = () => {
+    if (draftName.trim()) onRename(draftName.trim())
+    setIsEditing(false)
+  }
+
+  return (
+    <span
+      title={snippet.content}
+      className="inline-flex items-center space-x-1 bg-purple-500/20 text-purple-200 text-xs px-2 py-1 rounded-full border border-purple-500/30"
+    >
+      <span>✂️</span>
+      {isEditing ? (
+        <input
+          autoFocus
+          value={draftName}
+          onChange={(e) => setDraftName(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault()
+              commitRename()
+            }
+            if (e.key === 'Escape') setIsEditing(false)
+          }}
+          className="w-24 bg-transparent border-b border-purple-300/50 focus:outline-none"
+        />
+      ) : (
+        <button type="button" onClick={() => onRename && setIsEditing(true)} className="font-mono">
+          {snippet.name}
+        </button>
+      )}
+      {onRemove && (
+        <button type="button" onClick={onRemove} className="hover:text-white">×</button>
+      )}
+    </span>
+  )
+}
+
+// Files and snippets attached to a prompt. Without the change handler the
+// chips are read-only, as in sent messages.
+function AttachmentChips({ attachments, onChange }) {
+  const removeFile = (path) => {
+    onChange({ ...attachments, files: attachments.files.filter(file => file !== path) })
+  }
+  const renameSnippet = (id, name) => {
+    onChange({ ...attachments, snippets: attachments.snippets.map(s => s.id === id ? { ...s, name } : s) })
+  }
+  const removeSnippet = (id) => {
+    onChange({ ...attachments, snippets: attachments.snippets.filter(s => s.id !== id) })
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {attachments.files.map(path => (
+        <span
+          key={path}
+          title={path}
+          className="inline-flex items-center space-x-1 bg-blue-500/20 text-blue-200 text-xs px-2 py-1 rounded-full border border-blue-500/30"
+        >
+          <span className="font-mono">@{path}</span>
+          {onChange && (
+            <button type="button" onClick={() => removeFile(path)} className="hover:text-white">×</button>
+          )}
+        </span>
+      ))}
+      {attachments.snippets.map(snippet => (
+        <SnippetChip
+          key={snippet.id}
+          snippet={snippet}
+          onRename={onChange && ((name) => renameSnippet(snippet.id, name))}
+          onRemove={onChange && (() => removeSnippet(snippet.id))}
+        />
+      ))}
+    </div>
+  )
+}
+
+export default AttachmentChips
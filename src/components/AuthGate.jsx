@@ -0,0 +1,15 @@
+import { Fragment } from 'react'
+import useSession from '../hooks/useSession'
+import { userKey } from '../services/auth'
+import LoginScreen from './LoginScreen'
+
+// Keyed by user so signing in as someone else remounts the app and every
+// store is read again from that user's storage
+function AuthGate({ children }) {
+  const { session, notice } = useSession()
+
+  if (!session) return <LoginScreen notice={notice} />
+  return <Fragment key={userKey(session.user) ?? 'guest'}>{children}</Fragment>
+}
+
+export default AuthGate
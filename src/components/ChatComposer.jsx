@@ -0,0 +1,258 @@
+import { useState, useLayoutEffect } from 'react'
+import AttachmentChips from './AttachmentChips'
+import {
+  findMentionQuery,
+  suggestFiles,
+  createSnippet,
+  hasAttachments
+} from '../services/attachments'
+import { findSlashQuery, suggestCommands } from '../services/slashCommands'
+
+const MAX_INPUT_HEIGHT_PX = 200
+// Shorter pastes (a stack trace, a few lines of code) go into the prompt
+// itself; longer ones become snippet attachments
+const SNIPPET_MIN_LINES = 20
+
+function ChatComposer({
+  value,
+  onChange,
+  onSubmit,
+  onStop,
+  attachments,
+  onAttachmentsChange,
+  repositoryFiles,
+  onMentionStart,
+  commands,
+  promptHistory,
+  inputRef,
+  isTyping,
+  disabled,
+  submitDisabled,
+  submitLabel,
+  placeholder
+}) {
+  const [mention, setMention] = useState(null)
+  const [slash, setSlash] = useState(null)
+  const [highlighted, setHighlighted] = useState(0)
+  // Position while browsing sent prompts with the arrow keys; -1 is the draft
+  const [historyIndex, setHistoryIndex] = useState(-1)
+  const [savedDraft, setSavedDraft] = useState('')
+
+  // Grow with the content up to a limit, then scroll
+  useLayoutEffect(() => {
+    const textarea = inputRef.current
+    if (!textarea) return
+    textarea.style.height = 'auto'
+    textarea.style.height = `${Math.min(textarea.scrollHeight, MAX_INPUT_HEIGHT_PX)}px`
+  }, [value, inputRef])
+
+  const suggestions = mention ? suggestFiles(repositoryFiles.entries, mention.query) : []
+  const commandSuggestions = slash ? suggestCommands(commands, slash.query) : []
+
+  const updateMention = (text, caret) => {
+    const found = findMentionQuery(text, caret)
+    setMention(found)
+    setHighlighted(0)
+    if (found) onMentionStart()
+  }
+
+  const handleChange = (e) => {
+    setHistoryIndex(-1)
+    onChange(e.target.value)
+    updateMention(e.target.value, e.target.selectionStart)
+    setSlash(findSlashQuery(e.target.value, e.target.selectionStart))
+  }
+
+  const selectCommand = (command) => {
+    onChange(`/${command.name} `)
+    setSlash(null)
+    inputRef.current?.focus()
+  }
+
+  // Swaps the `@query` text for a chip
+  const selectSuggestion = (path) => {
+    const caret = mention.start + mention.query.length + 1
+    onChange(value.slice(0, mention.start) + value.slice(caret))
+    if (!attachments.files.includes(path)) {
+      onAttachmentsChange({ ...attachments, files: [...attachments.files, path] })
+    }
+    setMention(null)
+    requestAnimationFrame(() => {
+      inputRef.current?.focus()
+      inputRef.current?.setSelectionRange(mention.start, mention.start)
+    })
+  }
+
+  const recallPrompt = (index) => {
+    if (historyIndex === -1) setSavedDraft(value)
+    setHistoryIndex(index)
+    onChange(index === -1 ? savedDraft : promptHistory[index])
+  }
+
+  // Enter sends, Shift+Enter adds a line; the arrows only walk the prompt
+  // history when the caret is on the first or last line
+  const handleEditorKeys = (e) => {
+    const textarea = e.currentTarget
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault()
+      textarea.form.requestSubmit()
+    } else if (e.key === 'ArrowUp' && !value.slice(0, textarea.selectionStart).includes('\n')) {
+      if (historyIndex + 1 >= promptHistory.length) return
+      e.preventDefault()
+      recallPrompt(historyIndex + 1)
+    } else if (e.key === 'ArrowDown' && historyIndex !== -1 && !value.slice(textarea.selectionEnd).includes('\n')) {
+      e.preventDefault()
+      recallPrompt(historyIndex - 1)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (slash && commandSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setHighlighted((highlighted + step + commandSuggestions.length) % commandSuggestions.length)
+      } else if (e.key === 'Tab' || (e.key === 'Enter' && commandSuggestions[highlighted].name !== slash.query)) {
+        // Enter on a fully typed command sends it instead of completing it
+        e.preventDefault()
+        selectCommand(commandSuggestions[highlighted])
+      } else if (e.key === 'Escape') {
+        setSlash(null)
+      } else {
+        handleEditorKeys(e)
+      }
+      return
+    }
+
+    if (!mention || suggestions.length === 0) {
+      if (e.key === 'Escape') setMention(null)
+      else handleEditorKeys(e)
+      return
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      selectSuggestion(suggestions[highlighted])
+    } else if (e.key === 'Escape') {
+      setMention(null)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    setHistoryIndex(-1)
+    onSubmit(e)
+  }
+
+  const handlePaste = (e) => {
+    const text = e.clipboardData.getData('text')
+    if (text.split('\n').length < SNIPPET_MIN_LINES) return
+
+    e.preventDefault()
+    onAttachmentsChange({
+      ...attachments,
+      snippets: [...attachments.snippets, createSnippet(text, attachments.snippets)]
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      {hasAttachments(attachments) && (
+        <AttachmentChips attachments={attachments} onChange={onAttachmentsChange} />
+      )}
+
+      <div className="flex items-end space-x-3">
+        <div className="flex-1 relative">
+          {slash && commandSuggestions.length > 0 && (
+            <div className="absolute bottom-full left-0 right-0 mb-2 bg-slate-800/95 backdrop-blur-xl border border-slate-600/50 rounded-xl shadow-2xl overflow-hidden z-10 max-h-64 overflow-y-auto">
+              {commandSuggestions.map((command, idx) => (
+                <button
+                  key={command.name}
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => selectCommand(command)}
+                  className={`w-full text-left px-4 py-1.5 flex items-center justify-between space-x-3 transition-colors ${
+                    idx === highlighted ? 'bg-blue-500/30 text-white' : 'text-slate-300 hover:bg-white/5'
+                  }`}
+                >
+                  <span className="text-xs font-mono">{command.usage}</span>
+                  <span className="text-[11px] text-slate-400 truncate">
+                    {command.custom && '★ '}{command.description}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+          {mention && (
+            <div className="absolute bottom-full left-0 right-0 mb-2 bg-slate-800/95 backdrop-blur-xl border border-slate-600/50 rounded-xl shadow-2xl overflow-hidden z-10">
+              {repositoryFiles.status === 'loading' || repositoryFiles.status === 'idle' ? (
+                <p className="px-4 py-2 text-xs text-slate-400">Loading repository files...</p>
+              ) : repositoryFiles.status === 'error' ? (
+                <p className="px-4 py-2 text-xs text-red-300">❌ {repositoryFiles.error}</p>
+              ) : suggestions.length === 0 ? (
+                <p className="px-4 py-2 text-xs text-slate-400">No files match "{mention.query}"</p>
+              ) : suggestions.map((path, idx) => (
+                <button
+                  key={path}
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => selectSuggestion(path)}
+                  className={`w-full text-left px-4 py-1.5 text-xs font-mono truncate transition-colors ${
+                    idx === highlighted ? 'bg-blue-500/30 text-white' : 'text-slate-300 hover:bg-white/5'
+                  }`}
+                >
+                  {path}
+                </button>
+              ))}
+            </div>
+          )}
+          <textarea
+            ref={inputRef}
+            rows={1}
+            value={value}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            onPaste={handlePaste}
+            onBlur={() => {
+              setMention(null)
+              setSlash(null)
+            }}
+            placeholder={placeholder}
+            disabled={disabled}
+            className="block w-full resize-none bg-slate-900/50 backdrop-blur-sm border border-slate-600/50 rounded-xl px-4 py-3 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+          />
+        </div>
+        {isTyping ? (
+          <button
+            type="button"
+            onClick={onStop}
+            className="bg-red-500/80 hover:bg-red-500 text-white px-6 py-3 rounded-xl font-medium transition-all duration-200 shadow-lg"
+          >
+            <div className="flex items-center space-x-2">
+              <div className="w-3 h-3 bg-white rounded-sm"></div>
+              <span>Stop</span>
+            </div>
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={submitDisabled}
+            className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 disabled:from-slate-600 disabled:to-slate-600 text-white px-6 py-3 rounded-xl font-medium transition-all duration-200 disabled:cursor-not-allowed shadow-lg disabled:shadow-none"
+          >
+            <div className="flex items-center space-x-2">
+              <span>{submitLabel}</span>
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+              </svg>
+            </div>
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default ChatComposer
@@ -0,0 +1,162 @@
+import { useState, useRef } from 'react'
+
+const matchesSearch = (conversation, query) => {
+  const needle = query.toLowerCase()
+  return conversation.title.toLowerCase().includes(needle)
+    || conversation.workingDirectory.toLowerCase().includes(needle)
+    || conversation.messages.some(m => m.content?.toLowerCase().includes(needle))
+}
+
+function ConversationItem({ conversation, isActive, disabled, pendingCount, onSelect, onRename, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false)
+  const [draftTitle, setDraftTitle] = useState(conversation.title)
+
+  const startEditing = () => {
+    setDraftTitle(conversation.title)
+    setIsEditing(true)
+  }
+
+  const commitRename = () => {
+    if (draftTitle.trim()) onRename(conversation.id, draftTitle.trim())
+    setIsEditing(false)
+  }
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id)
+    }
+  }
+
+  return (
+    <div className={`group rounded-lg px-3 py-2 border transition-colors ${
+      isActive
+        ? 'bg-blue-500/20 border-blue-500/30'
+        : 'bg-transparent border-transparent hover:bg-white/5'
+    }`}>
+      {isEditing ? (
+        <input
+          autoFocus
+          value={draftTitle}
+          onChange={(e) => setDraftTitle(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitRename()
+            if (e.key === 'Escape') setIsEditing(false)
+          }}
+          className="w-full bg-slate-900/50 border border-slate-600/50 rounded px-2 py-1 text-sm text-white focus:outline-none focus:ring-1 focus:ring-blue-500/50"
+        />
+      ) : (
+        <div className="flex items-center justify-between space-x-2">
+          <button
+            onClick={() => onSelect(conversation.id)}
+            disabled={disabled}
+            className="flex-1 min-w-0 text-left disabled:cursor-not-allowed"
+          >
+            <p className="text-sm text-slate-200 truncate">
+              {pendingCount > 0 && (
+                <span className="mr-1 text-xs text-amber-300" title={`${pendingCount} queued prompt${pendingCount === 1 ? '' : 's'}`}>⏳{pendingCount}</span>
+              )}
+              {conversation.title}
+            </p>
+            <p className="text-xs text-slate-400 truncate">
+              {new Date(conversation.updatedAt).toLocaleDateString()} · {conversation.workingDirectory}
+            </p>
+          </button>
+          <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity">
+            <button
+              onClick={startEditing}
+              title="Rename"
+              className="text-slate-400 hover:text-blue-300 p-1"
+            >
+              <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 000-1.41l-2.34-2.34a1 1 0 00-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+              </svg>
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={disabled && isActive}
+              title="Delete"
+              className="text-slate-400 hover:text-red-400 p-1 disabled:opacity-50"
+            >
+              <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ConversationSidebar({ conversations, activeId, disabled, pendingCounts = {}, onSelect, onNew, onImport, onRename, onDelete }) {
+  const [searchQuery, setSearchQuery] = useState('')
+  const fileInputRef = useRef(null)
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0]
+    // Reset so picking the same file again still fires a change
+    e.target.value = ''
+    if (file) onImport(file)
+  }
+
+  const visibleConversations = conversations
+    .filter(c => !searchQuery.trim() || matchesSearch(c, searchQuery.trim()))
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+
+  return (
+    <div className="bg-white/10 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-64 h-[650px] flex flex-col overflow-hidden">
+      <div className="bg-gradient-to-r from-slate-800/50 to-purple-800/50 px-4 py-4 border-b border-white/10 space-y-3">
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 disabled:from-slate-600 disabled:to-slate-600 text-white text-sm px-4 py-2 rounded-xl font-medium transition-all disabled:cursor-not-allowed"
+        >
+          + New chat
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={disabled}
+          className="w-full text-xs text-blue-400 hover:text-blue-300 font-medium disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+        >
+          Import from JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="Search conversations..."
+          className="w-full bg-slate-900/50 border border-slate-600/50 rounded-lg px-3 py-2 text-sm text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+        />
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {visibleConversations.map(conversation => (
+          <ConversationItem
+            key={conversation.id}
+            conversation={conversation}
+            isActive={conversation.id === activeId}
+            disabled={disabled}
+            pendingCount={pendingCounts[conversation.id] || 0}
+            onSelect={onSelect}
+            onRename={onRename}
+            onDelete={onDelete}
+          />
+        ))}
+
+        {visibleConversations.length === 0 && (
+          <p className="text-xs text-slate-400 text-center mt-4">No conversations found</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ConversationSidebar
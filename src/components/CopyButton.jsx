@@ -0,0 +1,27 @@
+import { useState } from 'react'
+
+function CopyButton({ text, label = 'Copy', className = '' }) {
+  const [copied, setCopied] = useState(false)
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (error) {
+      console.error('Copy failed:', error)
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleCopy}
+      className={`text-xs text-blue-400 hover:text-blue-300 transition-colors ${className}`}
+    >
+      {copied ? 'Copied!' : label}
+    </button>
+  )
+}
+
+export default CopyButton
@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { saveCredential, repositoryHost } from '../services/credentials'
+
+const inputClass = 'bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-1 text-sm text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50'
+
+// Adds or replaces the access token for a host. Rendered as a div rather than
+// a form so it can sit inside the repository picker's form.
+function CredentialForm({ initialHost = '', onSaved = () => {} }) {
+  const [host, setHost] = useState(initialHost)
+  const [token, setToken] = useState('')
+  const [username, setUsername] = useState('')
+  const [remember, setRemember] = useState(false)
+  const normalizedHost = repositoryHost(host)
+
+  const save = () => {
+    if (!normalizedHost || !token.trim()) return
+    saveCredential({ host: normalizedHost, token, username, remember })
+    setToken('')
+    onSaved(normalizedHost)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      save()
+    }
+  }
+
+  return (
+    <div className="space-y-2" onKeyDown={handleKeyDown}>
+      <div className="flex space-x-2">
+        <input
+          value={host}
+          onChange={(e) => setHost(e.target.value)}
+          placeholder="github.com"
+          className={`${inputClass} w-36 font-mono`}
+        />
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username (optional)"
+          autoComplete="off"
+          className={`${inputClass} flex-1 min-w-0`}
+        />
+      </div>
+      <input
+        type="password"
+        value={token}
+        onChange={(e) => setToken(e.target.value)}
+        placeholder="Personal access token"
+        autoComplete="off"
+        className={`${inputClass} w-full font-mono`}
+      />
+      <div className="flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-xs text-slate-300 cursor-pointer">
+          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+          <span>Keep until this tab is closed</span>
+        </label>
+        <button
+          type="button"
+          onClick={save}
+          disabled={!normalizedHost || !token.trim()}
+          className="text-xs text-blue-400 hover:text-blue-300 font-medium disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+        >
+          Save token
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CredentialForm
@@ -0,0 +1,236 @@
+import { useState, useEffect, useRef } from 'react'
+import { describeError } from '../services/errorMessages'
+import {
+  hunkKey,
+  getAcceptedHunks,
+  readOriginalFile,
+  resolveWriteChange,
+  toSideBySideRows
+} from '../services/codeChanges'
+
+const LINE_STYLES = {
+  added: 'bg-green-500/15 text-green-200',
+  removed: 'bg-red-500/15 text-red-200',
+  context: 'text-slate-300'
+}
+
+const LINE_MARKERS = { added: '+', removed: '-', context: ' ' }
+
+function InlineHunk({ hunk }) {
+  let oldLine = hunk.oldStart
+  let newLine = hunk.newStart
+
+  return (
+    <table className="w-full font-mono text-[11px] leading-snug">
+      <tbody>
+        {hunk.lines.filter(line => '+- '.includes(line[0])).map((line, idx) => {
+          const type = line[0] === '+' ? 'added' : line[0] === '-' ? 'removed' : 'context'
+          const numbers = type === 'added' ? ['', newLine++] : type === 'removed' ? [oldLine++, ''] : [oldLine++, newLine++]
+          return (
+            <tr key={idx} className={LINE_STYLES[type]}>
+              <td className="w-10 pr-2 text-right text-slate-500 select-none">{numbers[0]}</td>
+              <td className="w-10 pr-2 text-right text-slate-500 select-none">{numbers[1]}</td>
+              <td className="whitespace-pre">{LINE_MARKERS[type]} {line.slice(1)}</td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
+
+function SideBySideCell({ line }) {
+  if (!line) return <><td className="w-10 bg-slate-800/50"></td><td className="bg-slate-800/50"></td></>
+  return (
+    <>
+      <td className={`w-10 pr-2 text-right text-slate-500 select-none ${LINE_STYLES[line.type]}`}>{line.number}</td>
+      <td className={`whitespace-pre ${LINE_STYLES[line.type]}`}>{line.text}</td>
+    </>
+  )
+}
+
+function SideBySideHunk({ hunk }) {
+  return (
+    <table className="w-full font-mono text-[11px] leading-snug table-fixed">
+      <tbody>
+        {toSideBySideRows(hunk).map((row, idx) => (
+          <tr key={idx}>
+            <SideBySideCell line={row.left} />
+            <SideBySideCell line={row.right} />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// Write-style tool calls only say what the file should become, so the
+// current version is fetched once and diffed against it
+function useResolvedChange(change, workingDirectory, repoRef, onResolve) {
+  const [status, setStatus] = useState({ state: 'ready' })
+  const latest = useRef({ change, onResolve })
+  latest.current = { change, onResolve }
+  const needsOriginal = change.hunks === null
+
+  useEffect(() => {
+    if (!needsOriginal) return
+
+    const controller = new AbortController()
+    setStatus({ state: 'loading' })
+    readOriginalFile({ workingDirectory, repoRef, path: change.path, signal: controller.signal })
+      .then(originalContent => {
+        setStatus({ state: 'ready' })
+        const { change: current, onResolve: save } = latest.current
+        save(current.id, resolveWriteChange(current, originalContent))
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') setStatus({ state: 'error', error: describeError(error) })
+      })
+
+    return () => controller.abort()
+  }, [needsOriginal, change.path, workingDirectory, repoRef])
+
+  return status
+}
+
+function FileChange({ change, decisions, layout, workingDirectory, repoRef, onDecide, onResolve }) {
+  const status = useResolvedChange(change, workingDirectory, repoRef, onResolve)
+
+  return (
+    <div className="border border-slate-600/50 rounded-lg overflow-hidden">
+      <div className="px-3 py-2 bg-slate-900/60 flex items-center justify-between text-xs">
+        <span className="font-mono text-slate-200 truncate">
+          {change.oldPath ? '' : '🆕 '}{change.path}
+        </span>
+        <span className="text-slate-400">{change.source === 'write' ? 'write call' : 'diff'}</span>
+      </div>
+
+      {status.state === 'loading' && (
+        <p className="px-3 py-2 text-xs text-slate-400">Comparing with the current file...</p>
+      )}
+      {status.state === 'error' && (
+        <p className="px-3 py-2 text-xs text-red-300">❌ {status.error}</p>
+      )}
+
+      {change.hunks?.map((hunk, index) => {
+        const key = hunkKey(change.id, index)
+        const decision = decisions[key]
+        return (
+          <div key={key} className="border-t border-slate-700/50">
+            <div className="flex items-center justify-between px-3 py-1 bg-slate-800/60 text-[11px]">
+              <span className="font-mono text-purple-300">
+                @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+              </span>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => onDecide(key, decision === 'accepted' ? null : 'accepted')}
+                  className={`px-2 py-0.5 rounded-full border transition-colors ${
+                    decision === 'accepted'
+                      ? 'bg-green-500/30 border-green-500/50 text-green-100'
+                      : 'border-green-500/30 text-green-300 hover:bg-green-500/10'
+                  }`}
+                >
+                  ✓ Accept
+                </button>
+                <button
+                  onClick={() => onDecide(key, decision === 'rejected' ? null : 'rejected')}
+                  className={`px-2 py-0.5 rounded-full border transition-colors ${
+                    decision === 'rejected'
+                      ? 'bg-red-500/30 border-red-500/50 text-red-100'
+                      : 'border-red-500/30 text-red-300 hover:bg-red-500/10'
+                  }`}
+                >
+                  ✕ Reject
+                </button>
+              </div>
+            </div>
+            <div className={`overflow-x-auto ${decision === 'rejected' ? 'opacity-40' : ''}`}>
+              {layout === 'split' ? <SideBySideHunk hunk={hunk} /> : <InlineHunk hunk={hunk} />}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function DiffReviewModal({ changes, decisions, workingDirectory, repoRef, isApplying, onDecide, onDecideAll, onResolve, onApply, onClose }) {
+  const [layout, setLayout] = useState('inline')
+  const acceptedCount = changes.reduce((sum, change) => sum + getAcceptedHunks(change, decisions).length, 0)
+  const allKeys = changes.flatMap(change => (change.hunks || []).map((_, index) => hunkKey(change.id, index)))
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-slate-800/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-5xl h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-bold text-white">Proposed changes</h2>
+            <p className="text-xs text-slate-400">{changes.length} file{changes.length === 1 ? '' : 's'} · accept or reject each hunk</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <div className="flex bg-slate-900/50 rounded-lg p-0.5 text-xs">
+              {[['inline', 'Inline'], ['split', 'Side by side']].map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setLayout(id)}
+                  className={`px-3 py-1 rounded-md transition-colors ${layout === id ? 'bg-blue-500/30 text-white' : 'text-slate-400 hover:text-slate-200'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors">
+              <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {changes.map(change => (
+            <FileChange
+              key={change.id}
+              change={change}
+              decisions={decisions}
+              layout={layout}
+              workingDirectory={workingDirectory}
+              repoRef={repoRef}
+              onDecide={onDecide}
+              onResolve={onResolve}
+            />
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between px-6 py-4 border-t border-white/10">
+          <div className="flex space-x-2 text-xs">
+            <button
+              onClick={() => onDecideAll(allKeys, 'accepted')}
+              className="px-3 py-1 rounded-full border border-green-500/30 text-green-300 hover:bg-green-500/10 transition-colors"
+            >
+              Accept all
+            </button>
+            <button
+              onClick={() => onDecideAll(allKeys, 'rejected')}
+              className="px-3 py-1 rounded-full border border-red-500/30 text-red-300 hover:bg-red-500/10 transition-colors"
+            >
+              Reject all
+            </button>
+          </div>
+          <button
+            onClick={onApply}
+            disabled={acceptedCount === 0 || isApplying}
+            className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 disabled:from-slate-600 disabled:to-slate-600 text-white text-sm px-5 py-2 rounded-xl font-medium transition-all disabled:cursor-not-allowed"
+          >
+            {isApplying ? 'Applying...' : `Apply ${acceptedCount} accepted hunk${acceptedCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DiffReviewModal
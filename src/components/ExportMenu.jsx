@@ -0,0 +1,44 @@
+import { useState } from 'react'
+
+// Dropdown of download formats; `formats` is a list of { id, label, hint }
+function ExportMenu({ label = 'Export', formats, title, disabled, isExporting, onExport }) {
+  const [open, setOpen] = useState(false)
+
+  const choose = (format) => {
+    setOpen(false)
+    onExport(format)
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled || isExporting}
+        title={title}
+        className="text-xs text-blue-400 hover:text-blue-300 font-medium disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+      >
+        {isExporting ? 'Exporting...' : label}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)}></div>
+          <div className="absolute right-0 mt-2 w-56 z-20 bg-slate-800/95 backdrop-blur-xl border border-white/20 rounded-xl shadow-2xl overflow-hidden">
+            {formats.map(format => (
+              <button
+                key={format.id}
+                onClick={() => choose(format.id)}
+                className="w-full text-left px-4 py-2 hover:bg-white/10 transition-colors"
+              >
+                <div className="text-sm text-slate-200">{format.label}</div>
+                <div className="text-xs text-slate-400">{format.hint}</div>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ExportMenu
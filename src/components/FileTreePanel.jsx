@@ -0,0 +1,139 @@
+import { useState, useMemo, useCallback } from 'react'
+import {
+  buildFileTree,
+  filterFileTree,
+  collectExtensions,
+  getFileIcon,
+  isTouchedPath
+} from '../services/fileTree'
+
+function TreeNode({ node, depth, expanded, onToggle, onOpenFile, touchedFiles, forceExpanded }) {
+  const isOpen = forceExpanded || expanded.has(node.path)
+  const indent = { paddingLeft: `${depth * 12 + 8}px` }
+
+  if (node.type === 'file') {
+    const touched = isTouchedPath(node.path, touchedFiles)
+    return (
+      <button
+        onClick={() => onOpenFile(node.path)}
+        style={indent}
+        title={touched ? `${node.path} (used by the assistant)` : node.path}
+        className={`w-full flex items-center space-x-1.5 py-0.5 pr-2 text-left text-xs rounded transition-colors ${
+          touched ? 'bg-yellow-500/15 text-yellow-200 hover:bg-yellow-500/25' : 'text-slate-300 hover:bg-white/5'
+        }`}
+      >
+        <span>{getFileIcon(node.name)}</span>
+        <span className="truncate">{node.name}</span>
+        {touched && <span className="ml-auto w-1.5 h-1.5 bg-yellow-400 rounded-full flex-shrink-0"></span>}
+      </button>
+    )
+  }
+
+  return (
+    <div>
+      <button
+        onClick={() => onToggle(node.path)}
+        style={indent}
+        className="w-full flex items-center space-x-1.5 py-0.5 pr-2 text-left text-xs text-slate-200 rounded hover:bg-white/5 transition-colors"
+      >
+        <span className="w-3 text-slate-500">{isOpen ? '▾' : '▸'}</span>
+        <span>{isOpen ? '📂' : '📁'}</span>
+        <span className="truncate">{node.name}</span>
+      </button>
+      {isOpen && node.children.map(child => (
+        <TreeNode
+          key={child.path}
+          node={child}
+          depth={depth + 1}
+          expanded={expanded}
+          onToggle={onToggle}
+          onOpenFile={onOpenFile}
+          touchedFiles={touchedFiles}
+          forceExpanded={forceExpanded}
+        />
+      ))}
+    </div>
+  )
+}
+
+function FileTreePanel({ listing, touchedFiles, onOpenFile }) {
+  const [expanded, setExpanded] = useState(() => new Set())
+  const [query, setQuery] = useState('')
+  const [extension, setExtension] = useState('')
+
+  const tree = useMemo(() => buildFileTree(listing.entries), [listing.entries])
+  const extensions = useMemo(() => collectExtensions(listing.entries), [listing.entries])
+  const isFiltering = Boolean(query.trim() || extension)
+  const visibleTree = isFiltering ? filterFileTree(tree, { query: query.trim(), extension }) : tree
+
+  const toggleDirectory = useCallback((path) => {
+    setExpanded(prev => {
+      const next = new Set(prev)
+      if (next.has(path)) next.delete(path)
+      else next.add(path)
+      return next
+    })
+  }, [])
+
+  return (
+    <div className="bg-white/10 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-72 h-[650px] flex flex-col overflow-hidden">
+      <div className="bg-gradient-to-r from-slate-800/50 to-purple-800/50 px-4 py-3 border-b border-white/10 space-y-2">
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-semibold text-white">Files</h2>
+          <button
+            onClick={listing.reload}
+            title="Reload"
+            className="text-slate-300 hover:text-white text-sm transition-colors"
+          >
+            ↻
+          </button>
+        </div>
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Filter by name..."
+            className="flex-1 min-w-0 bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-1 text-xs text-white placeholder-slate-400 focus:outline-none focus:ring-1 focus:ring-blue-500/50"
+          />
+          <select
+            value={extension}
+            onChange={(e) => setExtension(e.target.value)}
+            className="bg-slate-900/50 border border-slate-600/50 rounded-lg px-1 py-1 text-xs text-slate-300 focus:outline-none"
+          >
+            <option value="">All</option>
+            {extensions.map(ext => (
+              <option key={ext} value={ext}>.{ext}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2">
+        {(listing.status === 'loading' || listing.status === 'idle') && (
+          <p className="text-xs text-slate-400 text-center mt-4">Loading files...</p>
+        )}
+        {listing.status === 'error' && (
+          <p className="text-xs text-red-300 p-2">❌ {listing.error}</p>
+        )}
+        {listing.status === 'loaded' && visibleTree?.children.map(child => (
+          <TreeNode
+            key={child.path}
+            node={child}
+            depth={0}
+            expanded={expanded}
+            onToggle={toggleDirectory}
+            onOpenFile={onOpenFile}
+            touchedFiles={touchedFiles}
+            forceExpanded={isFiltering}
+          />
+        ))}
+        {listing.status === 'loaded' && !visibleTree?.children.length && (
+          <p className="text-xs text-slate-400 text-center mt-4">No files match</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default FileTreePanel
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react'
+import hljs from 'highlight.js/lib/common'
+import { readRepositoryFile } from '../services/api'
+import { describeError } from '../services/errorMessages'
+import { getExtension } from '../services/fileTree'
+
+// highlight.js escapes the source while highlighting, so its output is safe
+// to inject as HTML
+const highlight = (content, path) => {
+  const language = getExtension(path)
+  return hljs.getLanguage(language)
+    ? hljs.highlight(content, { language }).value
+    : hljs.highlightAuto(content).value
+}
+
+function FileViewer({ path, workingDirectory, repoRef, onClose }) {
+  const [file, setFile] = useState({ status: 'loading' })
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setFile({ status: 'loading' })
+
+    readRepositoryFile({ workingDirectory, repoRef, path, signal: controller.signal })
+      .then(data => setFile({ status: 'loaded', ...data, html: highlight(data.content || '', path) }))
+      .catch(error => {
+        if (error.name !== 'AbortError') setFile({ status: 'error', error: describeError(error) })
+      })
+
+    return () => controller.abort()
+  }, [path, workingDirectory, repoRef])
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-slate-800/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-4xl h-[80vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-3 border-b border-white/10">
+          <div className="min-w-0">
+            <h2 className="text-sm font-mono text-white truncate">{path}</h2>
+            <p className="text-xs text-slate-400">Read-only{file.truncated && ' · truncated by the backend'}</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors">
+            <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto bg-slate-900/80">
+          {file.status === 'loading' && (
+            <div className="flex items-center justify-center h-full text-slate-400 text-sm">Loading...</div>
+          )}
+          {file.status === 'error' && (
+            <div className="p-6 text-sm text-red-300">❌ {file.error}</div>
+          )}
+          {file.status === 'loaded' && (
+            <pre className="p-4 text-xs leading-relaxed">
+              <code className="hljs !bg-transparent" dangerouslySetInnerHTML={{ __html: file.html }} />
+            </pre>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FileViewer
@@ -0,0 +1,60 @@
+import { useState } from 'react'
+import JsonBlock from './JsonBlock'
+
+const STATUS_STYLES = {
+  running: 'bg-yellow-400 animate-pulse',
+  done: 'bg-green-400',
+  cancelled: 'bg-slate-400'
+}
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return null
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`
+}
+
+// Timeline of the tool calls behind one AI reply
+function FunctionCallTrace({ calls }) {
+  const [openIndex, setOpenIndex] = useState(null)
+
+  return (
+    <ol className="mt-3 border-l border-white/20 ml-1 space-y-2">
+      {calls.map((call, idx) => (
+        <li key={idx} className="relative pl-4">
+          <span className={`absolute -left-[5px] top-1.5 w-2.5 h-2.5 rounded-full ${STATUS_STYLES[call.status] || STATUS_STYLES.done}`}></span>
+          <button
+            type="button"
+            onClick={() => setOpenIndex(openIndex === idx ? null : idx)}
+            className="w-full flex items-center justify-between text-left text-xs"
+          >
+            <span className="font-mono">
+              <span className="text-green-600">#</span> {call.name}
+            </span>
+            <span className="flex items-center space-x-2 opacity-70">
+              {call.iteration !== null && call.iteration !== undefined && <span>iter {call.iteration}</span>}
+              {formatDuration(call.durationMs) && <span>{formatDuration(call.durationMs)}</span>}
+              {call.status === 'cancelled' && <span>cancelled</span>}
+              <span>{openIndex === idx ? '▾' : '▸'}</span>
+            </span>
+          </button>
+          {openIndex === idx && (
+            <div className="mt-1">
+              <JsonBlock label="Arguments" value={call.args} />
+              <JsonBlock
+                label={call.resultLength
+                  ? `Result (first ${call.result.length.toLocaleString()} of ${call.resultLength.toLocaleString()} characters)`
+                  : 'Result'}
+                value={call.result}
+                truncate
+              />
+              {!call.args && !call.result && (
+                <p className="text-[11px] text-slate-400">No arguments or result were recorded for this call.</p>
+              )}
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default FunctionCallTrace
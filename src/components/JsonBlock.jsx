@@ -0,0 +1,38 @@
+import { useState } from 'react'
+import CopyButton from './CopyButton'
+import { formatJson } from '../services/functionCalls'
+
+const RESULT_PREVIEW_CHARS = 400
+
+// Labelled, copyable JSON; `truncate` collapses long values behind "Show more"
+function JsonBlock({ label, value, truncate }) {
+  const [expanded, setExpanded] = useState(false)
+  const text = formatJson(value)
+  if (!text) return null
+
+  const isLong = truncate && text.length > RESULT_PREVIEW_CHARS
+  const shown = isLong && !expanded ? `${text.slice(0, RESULT_PREVIEW_CHARS)}…` : text
+
+  return (
+    <div className="mt-1">
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] uppercase tracking-wide text-slate-400">{label}</span>
+        <CopyButton text={text} className="text-[10px]" />
+      </div>
+      <pre className="mt-0.5 max-h-64 overflow-auto bg-slate-900/70 rounded p-2 text-[11px] leading-snug text-slate-300 whitespace-pre-wrap break-all">
+        {shown}
+      </pre>
+      {isLong && (
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="text-[10px] text-blue-400 hover:text-blue-300"
+        >
+          {expanded ? 'Show less' : `Show more (${text.length.toLocaleString()} chars)`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default JsonBlock
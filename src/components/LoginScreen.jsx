@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import { signIn, continueAsGuest } from '../services/auth'
+import { getAvailableProfiles, getBackendProfile, setBackendProfile } from '../services/backendConfig'
+import { describeError } from '../services/errorMessages'
+
+const inputClass = 'w-full bg-slate-900/50 border border-slate-600/50 rounded-lg px-3 py-2 text-sm text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50'
+
+function LoginScreen({ notice }) {
+  const [method, setMethod] = useState('password')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [apiToken, setApiToken] = useState('')
+  const [backendProfile, setBackendProfileState] = useState(getBackendProfile)
+  const [isSigningIn, setIsSigningIn] = useState(false)
+  const [error, setError] = useState(null)
+  const profiles = getAvailableProfiles()
+
+  const canSubmit = method === 'password' ? username.trim() && password : apiToken.trim()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!canSubmit || isSigningIn) return
+
+    setIsSigningIn(true)
+    setError(null)
+    try {
+      await signIn(method === 'password' ? { username, password } : { apiToken })
+    } catch (error) {
+      setError(describeError(error))
+      setIsSigningIn(false)
+    }
+  }
+
+  const handleProfileChange = (profileId) => {
+    setBackendProfile(profileId)
+    setBackendProfileState(profileId)
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white/10 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-sm p-6 space-y-4"
+      >
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-white">Sign in to Code Buddy</h1>
+          <p className="text-xs text-slate-400 mt-1">Your conversations and settings are kept per account</p>
+        </div>
+
+        {notice && (
+          <p className="text-xs text-amber-200 bg-amber-500/10 border border-amber-500/20 rounded-lg px-3 py-2">{notice}</p>
+        )}
+
+        <div className="flex bg-slate-900/50 rounded-lg p-1">
+          {[['password', 'Password'], ['token', 'API token']].map(([id, label]) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setMethod(id)}
+              className={`flex-1 text-sm py-1.5 rounded-md transition-colors ${
+                method === id ? 'bg-blue-500/30 text-white' : 'text-slate-400 hover:text-slate-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {method === 'password' ? (
+          <div className="space-y-3">
+            <input
+              autoFocus
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Username or email"
+              autoComplete="username"
+              className={inputClass}
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete="current-password"
+              className={inputClass}
+            />
+          </div>
+        ) : (
+          <input
+            autoFocus
+            type="password"
+            value={apiToken}
+            onChange={(e) => setApiToken(e.target.value)}
+            placeholder="API token from your backend admin"
+            autoComplete="off"
+            className={`${inputClass} font-mono`}
+          />
+        )}
+
+        {error && <p className="text-xs text-red-300">❌ {error}</p>}
+
+        <button
+          type="submit"
+          disabled={!canSubmit || isSigningIn}
+          className="w-full bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 disabled:from-slate-600 disabled:to-slate-600 text-white text-sm px-5 py-2 rounded-xl font-medium transition-all disabled:cursor-not-allowed"
+        >
+          {isSigningIn ? 'Signing in...' : 'Sign in'}
+        </button>
+
+        <div className="flex items-center justify-between text-xs">
+          <select
+            value={backendProfile}
+            onChange={(e) => handleProfileChange(e.target.value)}
+            title="Backend to sign in to"
+            className="bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-1 text-slate-300 focus:outline-none"
+          >
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.label}</option>
+            ))}
+          </select>
+          <button type="button" onClick={continueAsGuest} className="text-slate-400 hover:text-white transition-colors">
+            Continue without an account
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default LoginScreen
@@ -0,0 +1,104 @@
+import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import rehypeHighlight from 'rehype-highlight'
+import 'highlight.js/styles/github-dark.css'
+import CopyButton from './CopyButton'
+
+// Flattens a hast node back to the source text so the copy button gets the
+// original code rather than the highlighted markup
+const getNodeText = (node) => {
+  if (!node) return ''
+  if (node.type === 'text') return node.value
+  return (node.children || []).map(getNodeText).join('')
+}
+
+function CodeBlock({ node, children }) {
+  const codeNode = node?.children?.find(child => child.tagName === 'code')
+  const language = (codeNode?.properties?.className || [])
+    .find(name => String(name).startsWith('language-'))
+    ?.replace('language-', '')
+  const code = getNodeText(codeNode).replace(/\n$/, '')
+
+  return (
+    <div className="my-3 rounded-lg border border-slate-600/50 bg-slate-900/80 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 bg-slate-800/80 border-b border-slate-600/50">
+        <span className="text-xs font-mono text-slate-400">{language || 'text'}</span>
+        <CopyButton text={code} />
+      </div>
+      <pre className="overflow-x-auto p-3 text-xs leading-relaxed">{children}</pre>
+    </div>
+  )
+}
+
+// react-markdown hands every component the hast `node`; keep it off the DOM
+const withoutNode = (props) => {
+  const { node: _node, ...rest } = props
+  return rest
+}
+
+const styled = (Tag, className) => function StyledElement(props) {
+  return <Tag className={className} {...withoutNode(props)} />
+}
+
+function InlineCode(props) {
+  const { className, children, ...rest } = withoutNode(props)
+  return className
+    ? <code className={`${className} !bg-transparent !p-0`} {...rest}>{children}</code>
+    : <code className="bg-slate-900/60 text-pink-300 px-1 py-0.5 rounded font-mono text-xs" {...rest}>{children}</code>
+}
+
+function Link(props) {
+  return (
+    <a
+      {...withoutNode(props)}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-blue-400 hover:text-blue-300 underline"
+    />
+  )
+}
+
+function Table(props) {
+  return (
+    <div className="my-2 overflow-x-auto">
+      <table className="text-xs border-collapse" {...withoutNode(props)} />
+    </div>
+  )
+}
+
+// Raw HTML in the markdown is never rendered (no rehype-raw), and link/image
+// URLs go through react-markdown's default sanitizer, so content pulled from
+// a repository can't inject script into the page
+const components = {
+  pre: CodeBlock,
+  code: InlineCode,
+  a: Link,
+  table: Table,
+  h1: styled('h1', 'text-lg font-bold mt-3 mb-2'),
+  h2: styled('h2', 'text-base font-bold mt-3 mb-2'),
+  h3: styled('h3', 'text-sm font-bold mt-3 mb-1'),
+  p: styled('p', 'my-2 first:mt-0 last:mb-0'),
+  ul: styled('ul', 'list-disc pl-5 my-2 space-y-1'),
+  ol: styled('ol', 'list-decimal pl-5 my-2 space-y-1'),
+  blockquote: styled('blockquote', 'border-l-2 border-slate-500 pl-3 my-2 text-slate-300 italic'),
+  th: styled('th', 'border border-slate-600 px-2 py-1 text-left bg-slate-800/60'),
+  td: styled('td', 'border border-slate-600 px-2 py-1'),
+  hr: styled('hr', 'my-3 border-slate-600')
+}
+
+function MarkdownMessage({ content }) {
+  return (
+    <div className="text-sm leading-relaxed break-words">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[[rehypeHighlight, { detect: true }]]}
+        components={components}
+        skipHtml
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  )
+}
+
+export default MarkdownMessage
@@ -0,0 +1,77 @@
+import { useState } from 'react'
+import AttachmentChips from './AttachmentChips'
+import { hasAttachments } from '../services/attachments'
+
+// A prompt waiting in the outbox, shown where it will land in the chat. The
+// `editing` flag lives on the outbox item so the flush holds it until saved.
+function PendingPromptBubble({ item, isNext, backendHealthy, onSave, onEditingChange, onCancel }) {
+  const isEditing = Boolean(item.editing)
+  const [draft, setDraft] = useState(item.prompt)
+
+  const startEditing = () => {
+    setDraft(item.prompt)
+    onEditingChange(item.id, true)
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (draft.trim()) onSave(item.id, draft)
+    onEditingChange(item.id, false)
+  }
+
+  return (
+    <div className="flex justify-end">
+      <div className="min-w-0 max-w-xs lg:max-w-md px-4 py-3 rounded-2xl backdrop-blur-sm border border-dashed border-blue-400/50 bg-blue-500/10 text-slate-200 shadow-lg">
+        {isEditing ? (
+          <form onSubmit={handleSave} className="space-y-2">
+            <textarea
+              autoFocus
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={3}
+              className="w-full bg-slate-900/50 border border-white/20 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:ring-1 focus:ring-white/50"
+            />
+            <div className="flex justify-end space-x-2 text-xs">
+              <button
+                type="button"
+                onClick={() => onEditingChange(item.id, false)}
+                className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!draft.trim()}
+                className="px-3 py-1 rounded-full bg-white/20 hover:bg-white/30 disabled:opacity-50 transition-colors"
+              >
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">{item.prompt}</p>
+        )}
+        {hasAttachments(item.attachments) && (
+          <div className="mt-2">
+            <AttachmentChips attachments={item.attachments} />
+          </div>
+        )}
+        <div className="mt-2 flex items-center justify-between space-x-3 text-xs">
+          <span className="text-amber-300">
+            {isEditing
+              ? '✏️ Held until you save'
+              : backendHealthy && isNext ? '⏳ Sending next...' : '⏳ Pending · sends when the backend is back'}
+          </span>
+          {!isEditing && (
+            <div className="flex space-x-2">
+              <button onClick={startEditing} className="text-blue-300 hover:text-blue-200">Edit</button>
+              <button onClick={() => onCancel(item.id)} className="text-red-300 hover:text-red-200">Cancel</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PendingPromptBubble
@@ -0,0 +1,291 @@
+import { useState, useEffect } from 'react'
+import { validateDirectory, validateRepository } from '../services/api'
+import { describeError } from '../services/errorMessages'
+import {
+  REF_TYPES,
+  formatRef,
+  loadRecentRepositories,
+  addRecentRepository
+} from '../services/repositoryStore'
+import {
+  repositoryHost,
+  isRepositoryAuthFailure,
+  describeRepositoryAuthFailure,
+  forgetCredential
+} from '../services/credentials'
+import useCredentials from '../hooks/useCredentials'
+import CredentialForm from './CredentialForm'
+
+const VALIDATE_DELAY_MS = 800
+
+function ValidationDetails({ type, validation }) {
+  if (validation.status === 'idle') return null
+
+  if (validation.status === 'validating') {
+    return (
+      <div className="flex items-center space-x-2 text-xs text-slate-300">
+        <div className="w-3 h-3 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+        <span>Validating...</span>
+      </div>
+    )
+  }
+
+  if (validation.status === 'invalid') {
+    return <p className="text-xs text-red-300">❌ {validation.error}</p>
+  }
+
+  const { result } = validation
+  return (
+    <div className="bg-green-500/10 border border-green-500/20 rounded-lg px-3 py-2 text-xs text-green-200 space-y-1">
+      {type === 'git' ? (
+        <>
+          <p>🔗 Branch: {result.branch || 'main'}</p>
+          <p>📊 {result.code_files || 0} code files, {result.total_files || 0} total files ({result.size_mb || 0}MB)</p>
+          <p>📝 Last commit: {result.last_commit || 'Unknown'}</p>
+        </>
+      ) : result.type === 'git_repository' ? (
+        <p>📊 Git repository: {result.code_files || 0} code files, {result.total_files || 0} total files</p>
+      ) : (
+        <p>📁 {result.fileCount} files, {result.dirCount} directories</p>
+      )}
+    </div>
+  )
+}
+
+// Shown for git URLs: which token will be sent, or a way to add one when the
+// host refused access
+function CredentialStatus({ host, credential, validation }) {
+  const [showForm, setShowForm] = useState(false)
+  const authFailed = validation.status === 'invalid' && validation.authFailure
+
+  if (credential && !authFailed) {
+    return (
+      <div className="flex items-center justify-between text-xs text-slate-300">
+        <span>🔑 Using your access token for <span className="font-mono">{host}</span></span>
+        <button type="button" onClick={() => forgetCredential(host)} className="text-red-300 hover:text-red-200">
+          Forget token
+        </button>
+      </div>
+    )
+  }
+
+  if (authFailed || showForm) {
+    return (
+      <div className="bg-amber-500/10 border border-amber-500/20 rounded-lg px-3 py-2 space-y-2">
+        <p className="text-xs text-amber-200">🔒 Add an access token for <span className="font-mono">{host}</span> with read access to the repository.</p>
+        <CredentialForm key={host} initialHost={host} onSaved={() => setShowForm(false)} />
+        {credential && (
+          <button type="button" onClick={() => forgetCredential(host)} className="text-xs text-red-300 hover:text-red-200">
+            Forget the current token
+          </button>
+        )}
+      </div>
+    )
+  }
+
+  if (validation.status !== 'invalid') return null
+
+  return (
+    <button type="button" onClick={() => setShowForm(true)} className="text-xs text-blue-400 hover:text-blue-300">
+      Private repository? Add an access token
+    </button>
+  )
+}
+
+function RepositoryPicker({ initialType, initialPath, initialRef, onConnect, onClose }) {
+  const [tab, setTab] = useState(initialType)
+  const [gitUrl, setGitUrl] = useState(initialType === 'git' ? initialPath : '')
+  const [localPath, setLocalPath] = useState(initialType === 'local' ? initialPath : '')
+  const [refType, setRefType] = useState(initialRef?.type || 'branch')
+  const [refName, setRefName] = useState(initialRef?.name || '')
+  const [validation, setValidation] = useState({ status: 'idle' })
+  const [recents] = useState(loadRecentRepositories)
+  const credentials = useCredentials()
+
+  const path = tab === 'git' ? gitUrl.trim() : localPath.trim()
+  const ref = tab === 'git' && refName.trim() ? { type: refType, name: refName.trim() } : null
+  const host = tab === 'git' ? repositoryHost(path) : null
+  const credential = host ? credentials[host] : null
+  // Validation reruns when the token for this host is added, changed or forgotten
+  const credentialToken = credential?.token
+
+  // Validate as the user types, dropping answers for inputs they've moved past
+  useEffect(() => {
+    if (!path) {
+      setValidation({ status: 'idle' })
+      return
+    }
+
+    // Marked as validating straight away so a stale "valid" can't be connected
+    setValidation({ status: 'validating' })
+    const controller = new AbortController()
+    const timeout = setTimeout(async () => {
+      try {
+        const result = tab === 'git'
+          ? await validateRepository(path, {
+            ref: refName.trim() ? { type: refType, name: refName.trim() } : null,
+            signal: controller.signal
+          })
+          : await validateDirectory(path, { signal: controller.signal })
+
+        if (result.valid) {
+          setValidation({ status: 'valid', result })
+        } else if (tab === 'git' && isRepositoryAuthFailure(result)) {
+          setValidation({ status: 'invalid', authFailure: true, error: describeRepositoryAuthFailure(result, repositoryHost(path)) })
+        } else {
+          setValidation({ status: 'invalid', error: result.error || 'Validation failed' })
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          setValidation({ status: 'invalid', error: describeError(error) })
+        }
+      }
+    }, VALIDATE_DELAY_MS)
+
+    return () => {
+      clearTimeout(timeout)
+      controller.abort()
+    }
+  }, [tab, path, refType, refName, credentialToken])
+
+  const handleConnect = (e) => {
+    e.preventDefault()
+    if (validation.status !== 'valid') return
+
+    addRecentRepository({ type: tab, path, ref })
+    onConnect({ type: tab, path, ref, validation: validation.result })
+  }
+
+  const selectRecent = (recent) => {
+    setTab(recent.type)
+    if (recent.type === 'git') {
+      setGitUrl(recent.path)
+      setRefType(recent.ref?.type || 'branch')
+      setRefName(recent.ref?.name || '')
+    } else {
+      setLocalPath(recent.path)
+    }
+  }
+
+  const inputClassName = 'w-full bg-slate-900/50 border border-slate-600/50 rounded-lg px-3 py-2 text-sm text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50'
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <form
+        onSubmit={handleConnect}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-slate-800/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-lg max-h-[85vh] flex flex-col overflow-hidden"
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <h2 className="text-lg font-bold text-white">Connect a repository</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-white transition-colors">
+            <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          <div className="flex bg-slate-900/50 rounded-lg p-1">
+            {[['git', 'Git URL'], ['local', 'Local path']].map(([id, label]) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setTab(id)}
+                className={`flex-1 text-sm py-1.5 rounded-md transition-colors ${
+                  tab === id ? 'bg-blue-500/30 text-white' : 'text-slate-400 hover:text-slate-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {tab === 'git' ? (
+            <div className="space-y-3">
+              <input
+                autoFocus
+                type="text"
+                value={gitUrl}
+                onChange={(e) => setGitUrl(e.target.value)}
+                placeholder="https://github.com/user/repo"
+                className={inputClassName}
+              />
+              <div className="flex space-x-2">
+                <select
+                  value={refType}
+                  onChange={(e) => setRefType(e.target.value)}
+                  className="bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-2 text-sm text-slate-300 focus:outline-none"
+                >
+                  {REF_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={refName}
+                  onChange={(e) => setRefName(e.target.value)}
+                  placeholder={refType === 'commit' ? 'Commit SHA' : `${refType} name (default branch if empty)`}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+          ) : (
+            <input
+              autoFocus
+              type="text"
+              value={localPath}
+              onChange={(e) => setLocalPath(e.target.value)}
+              placeholder="/home/me/projects/calculator"
+              className={inputClassName}
+            />
+          )}
+
+          <ValidationDetails type={tab} validation={validation} />
+
+          {host && <CredentialStatus key={host} host={host} credential={credential} validation={validation} />}
+
+          {recents.length > 0 && (
+            <div className="space-y-2">
+              <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wide">Recently used</h3>
+              <div className="space-y-1">
+                {recents.map(recent => (
+                  <button
+                    key={`${recent.type}:${recent.path}:${formatRef(recent.ref)}`}
+                    type="button"
+                    onClick={() => selectRecent(recent)}
+                    className="w-full text-left rounded-lg px-3 py-2 hover:bg-white/5 transition-colors"
+                  >
+                    <p className="text-sm text-slate-200 font-mono truncate">
+                      {recent.type === 'git' ? '🔗' : '📁'} {recent.path}
+                    </p>
+                    {recent.ref && <p className="text-xs text-slate-400">{formatRef(recent.ref)}</p>}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 px-6 py-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-sm text-slate-300 hover:text-white px-4 py-2 rounded-xl transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={validation.status !== 'valid'}
+            className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 disabled:from-slate-600 disabled:to-slate-600 text-white text-sm px-5 py-2 rounded-xl font-medium transition-all disabled:cursor-not-allowed"
+          >
+            Connect
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default RepositoryPicker
@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import { DEFAULT_RUN_SETTINGS, MAX_ITERATIONS_LIMIT } from '../services/runSettings'
+
+const inputClass = 'bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-1 text-sm text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50'
+
+// Empty inputs mean "backend default"
+const parseOptionalNumber = (value, { min, max }) => {
+  if (value === '') return null
+  const number = Number(value)
+  if (Number.isNaN(number)) return null
+  return Math.min(max, Math.max(min, number))
+}
+
+function Field({ label, hint, children }) {
+  return (
+    <label className="block space-y-1">
+      <span className="text-sm text-slate-200">{label}</span>
+      {children}
+      {hint && <span className="block text-xs text-slate-400">{hint}</span>}
+    </label>
+  )
+}
+
+// Agent settings for the active conversation; every change is saved with it
+function RunSettingsPanel({ settings, models, tools, onChange, onClose }) {
+  const [newTool, setNewTool] = useState('')
+  const { model, maxIterations, temperature, allowedTools } = settings
+  const restricted = Array.isArray(allowedTools)
+  const toolNames = [...new Set([...tools, ...(allowedTools || [])])]
+
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  const toggleTool = (name) => {
+    update({
+      allowedTools: allowedTools.includes(name)
+        ? allowedTools.filter(tool => tool !== name)
+        : [...allowedTools, name]
+    })
+  }
+
+  const addTool = (e) => {
+    e.preventDefault()
+    const name = newTool.trim()
+    if (!name) return
+    if (!allowedTools.includes(name)) update({ allowedTools: [...allowedTools, name] })
+    setNewTool('')
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-slate-800/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-md max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-bold text-white">Agent settings</h2>
+            <p className="text-xs text-slate-400">Apply to this conversation only</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors">
+            <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          <Field label="Model" hint="Leave empty to use the backend's default model">
+            <input
+              value={model}
+              onChange={(e) => update({ model: e.target.value.trim() })}
+              list="run-settings-models"
+              placeholder="Backend default"
+              className={`${inputClass} w-full font-mono`}
+            />
+            <datalist id="run-settings-models">
+              {models.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </Field>
+
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="Max iterations">
+              <input
+                type="number"
+                min="1"
+                max={MAX_ITERATIONS_LIMIT}
+                value={maxIterations ?? ''}
+                onChange={(e) => update({ maxIterations: parseOptionalNumber(e.target.value, { min: 1, max: MAX_ITERATIONS_LIMIT }) })}
+                placeholder="Default"
+                className={`${inputClass} w-full`}
+              />
+            </Field>
+            <Field label="Temperature">
+              <input
+                type="number"
+                min="0"
+                max="2"
+                step="0.1"
+                value={temperature ?? ''}
+                onChange={(e) => update({ temperature: parseOptionalNumber(e.target.value, { min: 0, max: 2 }) })}
+                placeholder="Default"
+                className={`${inputClass} w-full`}
+              />
+            </Field>
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center justify-between cursor-pointer">
+              <div>
+                <p className="text-sm text-slate-200">Restrict tools</p>
+                <p className="text-xs text-slate-400">The agent may only call the checked tools.</p>
+              </div>
+              <input
+                type="checkbox"
+                checked={restricted}
+                onChange={(e) => update({ allowedTools: e.target.checked ? [...tools] : null })}
+              />
+            </label>
+
+            {restricted && (
+              <>
+                <div className="grid grid-cols-2 gap-1">
+                  {toolNames.map(name => (
+                    <label key={name} className="flex items-center space-x-2 text-xs text-slate-200 cursor-pointer">
+                      <input type="checkbox" checked={allowedTools.includes(name)} onChange={() => toggleTool(name)} />
+                      <span className="font-mono truncate">{name}</span>
+                    </label>
+                  ))}
+                </div>
+                <form onSubmit={addTool} className="flex items-center space-x-2">
+                  <input
+                    value={newTool}
+                    onChange={(e) => setNewTool(e.target.value)}
+                    placeholder="tool_name"
+                    className={`${inputClass} flex-1 font-mono`}
+                  />
+                  <button
+                    type="submit"
+                    className="text-xs text-blue-400 hover:text-blue-300 font-medium px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+                  >
+                    Add
+                  </button>
+                </form>
+                {allowedTools.length === 0 && (
+                  <p className="text-xs text-amber-300">No tools checked: the agent can only answer from the conversation.</p>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end px-6 py-3 border-t border-white/10">
+          <button
+            onClick={() => onChange(DEFAULT_RUN_SETTINGS)}
+            className="text-xs text-slate-300 hover:text-white px-3 py-1 rounded-full border border-white/20 transition-colors"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RunSettingsPanel
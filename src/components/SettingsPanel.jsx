@@ -0,0 +1,509 @@
+import { useState, useRef } from 'react'
+import { checkBackendHealth } from '../services/api'
+import {
+  BACKEND_PROFILES,
+  CUSTOM_PROFILE,
+  getCustomBackendUrl,
+  setCustomBackendUrl
+} from '../services/backendConfig'
+import { DEFAULT_MODEL } from '../services/usageSettings'
+import {
+  createTemplate,
+  templatesToJson,
+  mergeImportedTemplates,
+  TEMPLATE_NAME_PATTERN
+} from '../services/promptTemplates'
+import { BUILT_IN_COMMANDS } from '../services/slashCommands'
+import { downloadFile } from '../services/download'
+import { SHORTCUTS, COMPOSER_SHORTCUTS } from '../services/shortcuts'
+import { TOOL_POLICIES } from '../services/toolApprovals'
+import { forgetCredential, maskToken } from '../services/credentials'
+import useCredentials from '../hooks/useCredentials'
+import CredentialForm from './CredentialForm'
+
+function SettingsSection({ title, children }) {
+  return (
+    <section className="space-y-3">
+      <h3 className="text-sm font-semibold text-slate-200 uppercase tracking-wide">{title}</h3>
+      {children}
+    </section>
+  )
+}
+
+function BackendSettings({ backendProfile, onProfileChange }) {
+  const [customUrl, setCustomUrl] = useState(getCustomBackendUrl)
+  const [testResult, setTestResult] = useState(null)
+
+  const handleTest = async () => {
+    setTestResult({ checking: true })
+    const health = await checkBackendHealth(customUrl.trim().replace(/\/+$/, ''))
+    setTestResult(health)
+  }
+
+  const handleSaveCustom = () => {
+    const saved = setCustomBackendUrl(customUrl)
+    setCustomUrl(saved)
+    if (saved) onProfileChange(CUSTOM_PROFILE)
+    else if (backendProfile === CUSTOM_PROFILE) onProfileChange('prod')
+  }
+
+  return (
+    <SettingsSection title="Backend">
+      <div className="space-y-2">
+        {Object.entries(BACKEND_PROFILES).map(([id, profile]) => (
+          <label key={id} className={`flex items-center space-x-3 rounded-lg px-3 py-2 border ${
+            backendProfile === id ? 'bg-blue-500/20 border-blue-500/30' : 'border-slate-600/30'
+          } ${profile.url ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}`}>
+            <input
+              type="radio"
+              name="backend-profile"
+              checked={backendProfile === id}
+              disabled={!profile.url}
+              onChange={() => onProfileChange(id)}
+            />
+            <div className="min-w-0">
+              <p className="text-sm text-slate-200">{profile.label}</p>
+              <p className="text-xs text-slate-400 font-mono truncate">{profile.url || 'Not configured'}</p>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-xs text-slate-400">Custom backend URL (overrides the profiles above)</label>
+        <input
+          type="url"
+          value={customUrl}
+          onChange={(e) => {
+            setCustomUrl(e.target.value)
+            setTestResult(null)
+          }}
+          placeholder="http://localhost:5000/api"
+          className="w-full bg-slate-900/50 border border-slate-600/50 rounded-lg px-3 py-2 text-sm text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+        />
+        <div className="flex items-center justify-between">
+          <span className="text-xs">
+            {testResult?.checking && <span className="text-slate-400">Checking...</span>}
+            {testResult && !testResult.checking && (testResult.healthy
+              ? <span className="text-green-400">✅ Backend reachable</span>
+              : <span className="text-red-400">❌ {testResult.error || 'Backend unhealthy'}</span>
+            )}
+          </span>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={handleTest}
+              disabled={!customUrl.trim()}
+              className="text-xs text-blue-400 hover:text-blue-300 disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+            >
+              Test
+            </button>
+            <button
+              type="button"
+              onClick={handleSaveCustom}
+              className="text-xs text-white px-3 py-1 bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 rounded-full transition-colors"
+            >
+              {customUrl.trim() ? 'Use custom URL' : 'Clear custom URL'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </SettingsSection>
+  )
+}
+
+const inputClass = 'bg-slate-900/50 border border-slate-600/50 rounded-lg px-2 py-1 text-sm text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50'
+
+function UsageSettings({ usageSettings, onChange }) {
+  const { pricing, requestBudget, sessionBudget } = usageSettings
+
+  const updatePricing = (index, field, value) => {
+    onChange({
+      ...usageSettings,
+      pricing: pricing.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    })
+  }
+
+  const addModel = () => {
+    onChange({ ...usageSettings, pricing: [...pricing, { model: '', input: 0, output: 0 }] })
+  }
+
+  const removeModel = (index) => {
+    onChange({ ...usageSettings, pricing: pricing.filter((_, i) => i !== index) })
+  }
+
+  return (
+    <SettingsSection title="Usage & pricing">
+      <div className="space-y-2">
+        <div className="grid grid-cols-[1fr_5rem_5rem_1.5rem] gap-2 text-xs text-slate-400">
+          <span>Model</span>
+          <span>$ / 1M in</span>
+          <span>$ / 1M out</span>
+          <span></span>
+        </div>
+        {pricing.map((entry, index) => (
+          <div key={index} className="grid grid-cols-[1fr_5rem_5rem_1.5rem] gap-2 items-center">
+            <input
+              value={entry.model}
+              onChange={(e) => updatePricing(index, 'model', e.target.value)}
+              disabled={entry.model === DEFAULT_MODEL && index === 0}
+              placeholder="model name"
+              className={`${inputClass} font-mono disabled:opacity-60`}
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={entry.input}
+              onChange={(e) => updatePricing(index, 'input', Number(e.target.value))}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={entry.output}
+              onChange={(e) => updatePricing(index, 'output', Number(e.target.value))}
+              className={inputClass}
+            />
+            {entry.model === DEFAULT_MODEL && index === 0 ? <span></span> : (
+              <button
+                type="button"
+                onClick={() => removeModel(index)}
+                title="Remove"
+                className="text-slate-400 hover:text-red-400"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        <div className="flex items-center justify-between">
+          <span className="text-xs text-slate-400">Replies that don&apos;t report a model use the default price.</span>
+          <button
+            type="button"
+            onClick={addModel}
+            className="text-xs text-blue-400 hover:text-blue-300 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+          >
+            + Add model
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <label className="space-y-1">
+          <span className="text-xs text-slate-400">Per-request budget (tokens)</span>
+          <input
+            type="number"
+            min="0"
+            step="1000"
+            value={requestBudget}
+            onChange={(e) => onChange({ ...usageSettings, requestBudget: Number(e.target.value) })}
+            className={`${inputClass} w-full`}
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs text-slate-400">Per-conversation budget (tokens)</span>
+          <input
+            type="number"
+            min="0"
+            step="10000"
+            value={sessionBudget}
+            onChange={(e) => onChange({ ...usageSettings, sessionBudget: Number(e.target.value) })}
+            className={`${inputClass} w-full`}
+          />
+        </label>
+      </div>
+      <p className="text-xs text-slate-400">A warning is posted in the chat when a reply goes over a budget. Use 0 to turn a warning off.</p>
+    </SettingsSection>
+  )
+}
+
+const templateNameError = (template, templates) => {
+  if (!TEMPLATE_NAME_PATTERN.test(template.name)) return 'Use lowercase letters, digits and dashes'
+  if (BUILT_IN_COMMANDS.some(c => c.name === template.name)) return `/${template.name} is a built-in command`
+  if (templates.some(t => t.id !== template.id && t.name === template.name)) return 'Another template has this name'
+  return null
+}
+
+function TemplateSettings({ templates, onChange }) {
+  const [importError, setImportError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const updateTemplate = (id, field, value) => {
+    onChange(templates.map(t => (t.id === id ? { ...t, [field]: value } : t)))
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      onChange(mergeImportedTemplates(templates, await file.text()))
+      setImportError(null)
+    } catch (error) {
+      setImportError(error.message)
+    }
+  }
+
+  return (
+    <SettingsSection title="Prompt templates">
+      <p className="text-xs text-slate-400">
+        Each template becomes a slash command. Use <code className="text-purple-300">{'{{file}}'}</code> for the
+        command argument or @-attached files and <code className="text-purple-300">{'{{selection}}'}</code> for pasted snippets.
+      </p>
+
+      {templates.map(template => {
+        const nameError = templateNameError(template, templates)
+        return (
+          <div key={template.id} className="space-y-2 border border-slate-600/30 rounded-lg p-3">
+            <div className="flex items-center space-x-2">
+              <span className="text-slate-400 font-mono text-sm">/</span>
+              <input
+                value={template.name}
+                onChange={(e) => updateTemplate(template.id, 'name', e.target.value.toLowerCase())}
+                placeholder="command-name"
+                className={`${inputClass} font-mono w-36 ${nameError ? 'border-red-500/50' : ''}`}
+              />
+              <input
+                value={template.description}
+                onChange={(e) => updateTemplate(template.id, 'description', e.target.value)}
+                placeholder="Description"
+                className={`${inputClass} flex-1 min-w-0`}
+              />
+              <button
+                type="button"
+                onClick={() => onChange(templates.filter(t => t.id !== template.id))}
+                title="Delete"
+                className="text-slate-400 hover:text-red-400"
+              >
+                ✕
+              </button>
+            </div>
+            {nameError && <p className="text-xs text-red-300">{nameError}</p>}
+            <textarea
+              value={template.body}
+              onChange={(e) => updateTemplate(template.id, 'body', e.target.value)}
+              rows={3}
+              placeholder="Find dead code in {{file}} and explain why it is unused."
+              className={`${inputClass} w-full font-mono text-xs`}
+            />
+          </div>
+        )
+      })}
+
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-red-300">{importError}</span>
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="text-xs text-blue-400 hover:text-blue-300 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+          >
+            Import
+          </button>
+          <button
+            type="button"
+            onClick={() => downloadFile('codebuddy-templates.json', templatesToJson(templates), 'application/json')}
+            disabled={templates.length === 0}
+            className="text-xs text-blue-400 hover:text-blue-300 disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+          >
+            Export
+          </button>
+          <button
+            type="button"
+            onClick={() => onChange([...templates, createTemplate()])}
+            className="text-xs text-white px-3 py-1 bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-400 hover:to-purple-400 rounded-full transition-colors"
+          >
+            + New template
+          </button>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+    </SettingsSection>
+  )
+}
+
+function ToolApprovalSettings({ settings, onChange, sessionAllowed, onResetSession }) {
+  const [newTool, setNewTool] = useState('')
+  const { enabled, policies } = settings
+
+  const setPolicy = (name, policy) => {
+    onChange({ ...settings, policies: { ...policies, [name]: policy } })
+  }
+
+  const removeTool = (name) => {
+    const { [name]: _removed, ...rest } = policies
+    onChange({ ...settings, policies: rest })
+  }
+
+  const addTool = (e) => {
+    e.preventDefault()
+    const name = newTool.trim()
+    if (!name) return
+    setPolicy(name, 'ask')
+    setNewTool('')
+  }
+
+  return (
+    <SettingsSection title="Tool approvals">
+      <label className="flex items-center justify-between cursor-pointer">
+        <div>
+          <p className="text-sm text-slate-200">Ask before risky tools run</p>
+          <p className="text-xs text-slate-400">The agent pauses and shows an approval card for tools set to Ask.</p>
+        </div>
+        <input type="checkbox" checked={enabled} onChange={(e) => onChange({ ...settings, enabled: e.target.checked })} />
+      </label>
+
+      <div className={`space-y-2 ${enabled ? '' : 'opacity-50'}`}>
+        {Object.entries(policies).map(([name, policy]) => (
+          <div key={name} className="flex items-center space-x-2">
+            <span className="flex-1 min-w-0 truncate text-sm font-mono text-slate-200">{name}</span>
+            <select
+              value={policy}
+              onChange={(e) => setPolicy(name, e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(TOOL_POLICIES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => removeTool(name)}
+              title="Remove"
+              className="text-slate-400 hover:text-red-400"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <form onSubmit={addTool} className="flex items-center space-x-2">
+          <input
+            value={newTool}
+            onChange={(e) => setNewTool(e.target.value)}
+            placeholder="tool_name"
+            className={`${inputClass} flex-1 font-mono`}
+          />
+          <button
+            type="submit"
+            disabled={!newTool.trim()}
+            className="text-xs text-blue-400 hover:text-blue-300 disabled:opacity-50 px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+          >
+            + Add tool
+          </button>
+        </form>
+      </div>
+
+      {sessionAllowed.size > 0 && (
+        <div className="flex items-center justify-between text-xs">
+          <span className="text-slate-400 truncate">
+            Allowed for this session: <span className="font-mono text-slate-300">{[...sessionAllowed].join(', ')}</span>
+          </span>
+          <button type="button" onClick={onResetSession} className="ml-2 text-blue-400 hover:text-blue-300">
+            Reset
+          </button>
+        </div>
+      )}
+    </SettingsSection>
+  )
+}
+
+function CredentialSettings() {
+  const credentials = Object.values(useCredentials())
+
+  return (
+    <SettingsSection title="Repository credentials">
+      <p className="text-xs text-slate-400">
+        Personal access tokens for private repositories, sent only for repositories on the same host.
+        Tokens are kept in memory and never saved with conversations or exports.
+      </p>
+      {credentials.map(credential => (
+        <div key={credential.host} className="flex items-center space-x-2">
+          <span className="flex-1 min-w-0 truncate text-sm font-mono text-slate-200">
+            {credential.username ? `${credential.username}@` : ''}{credential.host}
+          </span>
+          <span className="text-xs font-mono text-slate-400">{maskToken(credential.token)}</span>
+          {credential.remember && <span className="text-[10px] text-slate-500">this tab</span>}
+          <button
+            type="button"
+            onClick={() => forgetCredential(credential.host)}
+            className="text-xs text-red-300 hover:text-red-200"
+          >
+            Forget
+          </button>
+        </div>
+      ))}
+      <CredentialForm />
+    </SettingsSection>
+  )
+}
+
+function ShortcutSettings() {
+  return (
+    <SettingsSection title="Keyboard shortcuts">
+      <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-xs">
+        {[...SHORTCUTS, ...COMPOSER_SHORTCUTS].map(shortcut => (
+          <div key={shortcut.keys} className="flex items-center justify-between">
+            <span className="text-slate-300">{shortcut.description}</span>
+            <kbd className="font-mono text-slate-200 bg-slate-900/50 border border-slate-600/50 rounded px-1.5 py-0.5">{shortcut.keys}</kbd>
+          </div>
+        ))}
+      </div>
+    </SettingsSection>
+  )
+}
+
+function SettingsPanel({
+  onClose,
+  backendProfile,
+  onProfileChange,
+  usageSettings,
+  onUsageSettingsChange,
+  templates,
+  onTemplatesChange,
+  toolApproval,
+  onToolApprovalChange,
+  sessionAllowedTools,
+  onResetSessionAllowedTools
+}) {
+  return (
+    <div className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-slate-800/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-lg max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <h2 className="text-lg font-bold text-white">Settings</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors">
+            <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+          <BackendSettings backendProfile={backendProfile} onProfileChange={onProfileChange} />
+          <UsageSettings usageSettings={usageSettings} onChange={onUsageSettingsChange} />
+          <TemplateSettings templates={templates} onChange={onTemplatesChange} />
+          <ToolApprovalSettings
+            settings={toolApproval}
+            onChange={onToolApprovalChange}
+            sessionAllowed={sessionAllowedTools}
+            onResetSession={onResetSessionAllowedTools}
+          />
+          <CredentialSettings />
+          <ShortcutSettings />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SettingsPanel
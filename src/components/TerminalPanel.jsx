@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { parseAnsi, stripAnsi } from '../services/ansi'
+import { formatElapsed } from '../services/commandRuns'
+import CopyButton from './CopyButton'
+
+const STREAM_CLASSES = {
+  stdout: 'text-slate-200',
+  stderr: 'text-red-300',
+  system: 'text-slate-500 italic'
+}
+
+// Turns output chunks into styled spans, carrying ANSI state across chunks
+const renderOutput = (output) => {
+  let style = {}
+  return output.flatMap((chunk, chunkIndex) => {
+    const parsed = parseAnsi(chunk.data, style)
+    style = parsed.style
+    return parsed.segments.map((segment, index) => (
+      <span key={`${chunkIndex}-${index}`} style={segment.style} className={STREAM_CLASSES[chunk.stream]}>
+        {segment.text}
+      </span>
+    ))
+  })
+}
+
+function CommandStatus({ command, now }) {
+  const elapsed = formatElapsed((command.endedAt ?? now) - command.startedAt)
+
+  if (command.status === 'running') {
+    return <span className="text-blue-300">● running {elapsed}</span>
+  }
+  if (command.status === 'killed') {
+    return <span className="text-amber-300">killed after {elapsed}</span>
+  }
+  if (command.status === 'detached') {
+    return <span className="text-slate-400">no longer tracked</span>
+  }
+  return (
+    <span className={command.exitCode === 0 ? 'text-green-300' : 'text-red-300'}>
+      exit {command.exitCode ?? '?'} · {elapsed}
+    </span>
+  )
+}
+
+function CommandRun({ command, now, onKill }) {
+  const output = useMemo(() => renderOutput(command.output), [command.output])
+  // Copied as plain text so pasting elsewhere doesn't bring escape codes along
+  const plainOutput = useMemo(() => stripAnsi(command.output.map(chunk => chunk.data).join('')), [command.output])
+
+  return (
+    <div className="border-b border-white/5 pb-2 mb-2 last:border-0">
+      <div className="flex items-center justify-between gap-2 text-[11px]">
+        <span className="font-mono text-green-300 truncate" title={command.cwd || undefined}>
+          $ {command.command}
+        </span>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <CommandStatus command={command} now={now} />
+          {command.output.length > 0 && <CopyButton text={plainOutput} label="Copy output" className="text-[11px]" />}
+          {command.status === 'running' && (
+            <button
+              onClick={() => onKill(command)}
+              disabled={command.killRequested}
+              title="Stop this command"
+              className="px-2 py-0.5 rounded-full bg-red-500/20 border border-red-500/40 text-red-200 hover:bg-red-500/30 disabled:opacity-50 transition-colors"
+            >
+              {command.killRequested ? 'Stopping...' : 'Kill'}
+            </button>
+          )}
+        </div>
+      </div>
+      {command.output.length > 0 && (
+        <pre className="mt-1 font-mono text-[11px] leading-snug whitespace-pre-wrap break-all">{output}</pre>
+      )}
+    </div>
+  )
+}
+
+// Output of the commands the assistant ran in this conversation, oldest first
+function TerminalPanel({ commands, onKill, onClose }) {
+  const [now, setNow] = useState(Date.now)
+  const scrollRef = useRef(null)
+  const followRef = useRef(true)
+  const isRunning = commands.some(command => command.status === 'running')
+
+  // Tick the elapsed time of running commands
+  useEffect(() => {
+    if (!isRunning) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [isRunning])
+
+  // Stay pinned to the bottom unless the user has scrolled up to read
+  useEffect(() => {
+    const element = scrollRef.current
+    if (element && followRef.current) element.scrollTop = element.scrollHeight
+  }, [commands])
+
+  const handleScroll = () => {
+    const element = scrollRef.current
+    followRef.current = element.scrollHeight - element.scrollTop - element.clientHeight < 24
+  }
+
+  return (
+    <div className="bg-white/10 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-96 h-[650px] flex flex-col overflow-hidden">
+      <div className="bg-gradient-to-r from-slate-800/50 to-purple-800/50 px-4 py-3 border-b border-white/10 flex items-center justify-between">
+        <h2 className="text-sm font-semibold text-white">Terminal</h2>
+        <button
+          onClick={onClose}
+          title="Close"
+          className="text-slate-300 hover:text-white text-sm transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-y-auto p-3 bg-slate-950/70">
+        {commands.length === 0 ? (
+          <p className="text-xs text-slate-400 text-center mt-4">No commands have run in this conversation</p>
+        ) : commands.map(command => (
+          <CommandRun key={`${command.messageId}-${command.id}`} command={command} now={now} onKill={onKill} />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default TerminalPanel
@@ -0,0 +1,185 @@
+import { useState, useMemo } from 'react'
+import {
+  collectUsageRecords,
+  summarizeUsage,
+  groupUsage,
+  dailyUsage,
+  dayKey,
+  formatTokens,
+  formatCost
+} from '../services/usageStats'
+
+const GROUPINGS = {
+  conversation: {
+    label: 'Conversations',
+    column: 'Conversation',
+    keyOf: record => record.conversationId,
+    labelOf: record => record.conversationTitle
+  },
+  repository: {
+    label: 'Repositories',
+    column: 'Repository',
+    keyOf: record => record.repository,
+    labelOf: record => record.repository
+  },
+  day: {
+    label: 'Days',
+    column: 'Day',
+    keyOf: record => dayKey(record.time),
+    labelOf: record => dayKey(record.time)
+  }
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="bg-slate-900/50 border border-slate-600/50 rounded-xl px-4 py-3">
+      <p className="text-xs text-slate-400">{label}</p>
+      <p className="text-lg font-semibold text-white">{value}</p>
+      {hint && <p className="text-[11px] text-slate-500">{hint}</p>}
+    </div>
+  )
+}
+
+// Stacked prompt/response bars, one per day
+function DailyChart({ days }) {
+  const max = Math.max(1, ...days.map(day => day.totalTokens))
+
+  return (
+    <div>
+      <div className="flex items-end h-32 space-x-1">
+        {days.map(day => (
+          <div
+            key={day.key}
+            className="flex-1 flex flex-col justify-end h-full"
+            title={`${day.key}: ${formatTokens(day.totalTokens)} tokens in ${day.requests} requests`}
+          >
+            <div className="bg-purple-400/70 rounded-t-sm" style={{ height: `${(day.responseTokens / max) * 100}%` }}></div>
+            <div className="bg-blue-400/70" style={{ height: `${(day.promptTokens / max) * 100}%` }}></div>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-[10px] text-slate-500">
+        <span>{days[0].key}</span>
+        <span className="flex items-center space-x-3">
+          <span className="flex items-center space-x-1"><span className="w-2 h-2 bg-blue-400/70 rounded-sm"></span><span>Prompt</span></span>
+          <span className="flex items-center space-x-1"><span className="w-2 h-2 bg-purple-400/70 rounded-sm"></span><span>Response</span></span>
+        </span>
+        <span>{days[days.length - 1].key}</span>
+      </div>
+    </div>
+  )
+}
+
+function UsagePanel({ conversations, activeConversationId, usageSettings, onClose, onOpenSettings }) {
+  const [grouping, setGrouping] = useState('conversation')
+  const { pricing, sessionBudget } = usageSettings
+
+  const records = useMemo(() => collectUsageRecords(conversations), [conversations])
+  const total = summarizeUsage(records, pricing)
+  const session = summarizeUsage(records.filter(r => r.conversationId === activeConversationId), pricing)
+  const days = dailyUsage(records, pricing)
+  const { keyOf, labelOf } = GROUPINGS[grouping]
+  const groups = groupUsage(records, keyOf, labelOf, pricing)
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-slate-800/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 w-full max-w-2xl max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-bold text-white">Usage</h2>
+            <p className="text-xs text-slate-400">Costs are estimates from the prices in settings</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={onOpenSettings}
+              className="text-xs text-blue-400 hover:text-blue-300 font-medium px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+            >
+              Pricing & budgets
+            </button>
+            <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors">
+              <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <StatCard
+              label="This conversation"
+              value={formatTokens(session.totalTokens)}
+              hint={sessionBudget > 0 ? `of ${formatTokens(sessionBudget)} budget` : 'tokens'}
+            />
+            <StatCard label="All conversations" value={formatTokens(total.totalTokens)} hint={`${formatTokens(total.promptTokens)} in · ${formatTokens(total.responseTokens)} out`} />
+            <StatCard label="Estimated cost" value={formatCost(total.cost)} hint={`${formatCost(session.cost)} this conversation`} />
+            <StatCard label="Requests" value={total.requests} hint={`${total.iterations} iterations`} />
+          </div>
+
+          {sessionBudget > 0 && (
+            <div className="h-1.5 bg-slate-900/50 rounded-full overflow-hidden">
+              <div
+                className={`h-full ${session.totalTokens > sessionBudget ? 'bg-red-400' : 'bg-gradient-to-r from-blue-400 to-purple-400'}`}
+                style={{ width: `${Math.min(100, (session.totalTokens / sessionBudget) * 100)}%` }}
+              ></div>
+            </div>
+          )}
+
+          <section className="space-y-2">
+            <h3 className="text-sm font-semibold text-slate-200 uppercase tracking-wide">Last 14 days</h3>
+            <DailyChart days={days} />
+          </section>
+
+          <section className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-slate-200 uppercase tracking-wide">Breakdown</h3>
+              <div className="flex bg-slate-900/50 rounded-lg p-0.5 text-xs">
+                {Object.entries(GROUPINGS).map(([id, { label }]) => (
+                  <button
+                    key={id}
+                    onClick={() => setGrouping(id)}
+                    className={`px-3 py-1 rounded-md transition-colors ${grouping === id ? 'bg-blue-500/30 text-white' : 'text-slate-400 hover:text-slate-200'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {groups.length === 0 ? (
+              <p className="text-xs text-slate-400 text-center py-4">No token usage recorded yet</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-slate-400 text-left">
+                    <th className="py-1 font-medium">{GROUPINGS[grouping].column}</th>
+                    <th className="py-1 font-medium text-right">Requests</th>
+                    <th className="py-1 font-medium text-right">Iterations</th>
+                    <th className="py-1 font-medium text-right">Tokens</th>
+                    <th className="py-1 font-medium text-right">Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {groups.map(group => (
+                    <tr key={group.key} className="border-t border-slate-700/50 text-slate-200">
+                      <td className="py-1.5 pr-2 max-w-[14rem] truncate" title={group.label}>{group.label}</td>
+                      <td className="py-1.5 text-right">{group.requests}</td>
+                      <td className="py-1.5 text-right">{group.iterations}</td>
+                      <td className="py-1.5 text-right">{formatTokens(group.totalTokens)}</td>
+                      <td className="py-1.5 text-right">{formatCost(group.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UsagePanel
@@ -0,0 +1,33 @@
+import { signOut, displayName } from '../services/auth'
+import useSession from '../hooks/useSession'
+
+function UserMenu() {
+  const { session } = useSession()
+
+  if (session?.guest) {
+    return (
+      <button
+        onClick={signOut}
+        title="Sign in to keep your conversations under your account"
+        className="text-xs text-blue-400 hover:text-blue-300 font-medium px-3 py-1 bg-blue-500/10 rounded-full border border-blue-500/20 transition-colors"
+      >
+        Sign in
+      </button>
+    )
+  }
+
+  const name = displayName(session?.user)
+  return (
+    <div className="flex items-center space-x-2" title={session?.user?.email || name}>
+      <div className="w-7 h-7 rounded-full bg-gradient-to-r from-blue-500 to-purple-500 flex items-center justify-center text-xs font-semibold text-white">
+        {name.charAt(0).toUpperCase()}
+      </div>
+      <span className="text-sm text-slate-200 max-w-[10rem] truncate">{name}</span>
+      <button onClick={signOut} className="text-xs text-slate-400 hover:text-white transition-colors">
+        Sign out
+      </button>
+    </div>
+  )
+}
+
+export default UserMenu
@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { checkBackendHealth } from '../services/api'
+
+const POLL_INTERVAL_MS = 30000
+const WAKING_POLL_INTERVAL_MS = 5000
+const HIDDEN_POLL_INTERVAL_MS = 5 * 60 * 1000
+
+const WAKING_STATUSES = [502, 503, 504]
+
+// A sleeping Render instance either holds the connection until it boots or
+// answers with a gateway error / HTML placeholder page. Anything else
+// (refused connection, offline browser) means the backend is really down.
+const classifyHealth = (result) => {
+  if (result.healthy) return 'healthy'
+  if (result.errorType === 'TimeoutError' || result.isHtml || WAKING_STATUSES.includes(result.status)) {
+    return 'waking'
+  }
+  return 'down'
+}
+
+const nextPollDelay = (status) => {
+  if (document.hidden) return HIDDEN_POLL_INTERVAL_MS
+  return status === 'waking' ? WAKING_POLL_INTERVAL_MS : POLL_INTERVAL_MS
+}
+
+// Polls the active backend and reports `status` as checking, healthy, waking
+// or down, with the latency and time of the last check. Polling restarts
+// whenever `baseUrl` changes.
+function useBackendHealth(baseUrl) {
+  const [health, setHealth] = useState({ status: 'checking', latency: null, lastChecked: null, error: null })
+  const checkRef = useRef(() => {})
+
+  useEffect(() => {
+    let cancelled = false
+    let inFlight = false
+    let timer = null
+
+    setHealth({ status: 'checking', latency: null, lastChecked: null, error: null })
+
+    const check = async () => {
+      if (inFlight) return
+      inFlight = true
+      clearTimeout(timer)
+
+      const startedAt = performance.now()
+      const result = await checkBackendHealth()
+      inFlight = false
+      if (cancelled) return
+
+      const status = classifyHealth(result)
+      setHealth({
+        status,
+        latency: Math.round(performance.now() - startedAt),
+        lastChecked: new Date(),
+        error: result.error || null
+      })
+      timer = setTimeout(check, nextPollDelay(status))
+    }
+
+    const checkIfVisible = () => {
+      if (!document.hidden) check()
+    }
+    const markOffline = () => {
+      setHealth(prev => ({ ...prev, status: 'down', error: 'Your browser is offline.' }))
+    }
+
+    checkRef.current = check
+    check()
+
+    window.addEventListener('focus', checkIfVisible)
+    window.addEventListener('online', check)
+    window.addEventListener('offline', markOffline)
+    document.addEventListener('visibilitychange', checkIfVisible)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+      window.removeEventListener('focus', checkIfVisible)
+      window.removeEventListener('online', check)
+      window.removeEventListener('offline', markOffline)
+      document.removeEventListener('visibilitychange', checkIfVisible)
+    }
+  }, [baseUrl])
+
+  const recheck = useCallback(() => checkRef.current(), [])
+
+  return { ...health, healthy: health.status === 'healthy', recheck }
+}
+
+export default useBackendHealth
@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  createConversation,
+  loadConversations,
+  saveConversations,
+  loadActiveConversationId,
+  saveActiveConversationId
+} from '../services/conversationStore'
+
+const SAVE_DELAY_MS = 500
+
+function useConversations() {
+  const [conversations, setConversations] = useState(() => {
+    const stored = loadConversations()
+    return stored.length > 0 ? stored : [createConversation()]
+  })
+  const [activeId, setActiveId] = useState(loadActiveConversationId)
+  const [saveFailed, setSaveFailed] = useState(false)
+
+  const activeConversation = conversations.find(c => c.id === activeId) || conversations[0]
+
+  // Debounced so a streamed reply doesn't rewrite localStorage on every token
+  useEffect(() => {
+    const timeout = setTimeout(() => setSaveFailed(!saveConversations(conversations)), SAVE_DELAY_MS)
+    return () => clearTimeout(timeout)
+  }, [conversations])
+
+  useEffect(() => {
+    saveActiveConversationId(activeConversation.id)
+  }, [activeConversation.id])
+
+  const updateConversation = useCallback((id, update) => {
+    setConversations(prev => prev.map(c => 
+      c.id === id
+        ? { ...c, ...(typeof update === 'function' ? update(c) : update), updatedAt: Date.now() }
+        : c
+    ))
+  }, [])
+
+  const newConversation = (defaults) => {
+    const conversation = createConversation(defaults)
+    setConversations(prev => [conversation, ...prev])
+    setActiveId(conversation.id)
+    return conversation
+  }
+
+  // `conversation` is a complete record, e.g. from parseConversationImport
+  const importConversation = (conversation) => {
+    setConversations(prev => [conversation, ...prev])
+    setActiveId(conversation.id)
+  }
+
+  const renameConversation = (id, title) => {
+    updateConversation(id, { title })
+  }
+
+  const deleteConversation = (id) => {
+    const remaining = conversations.filter(c => c.id !== id)
+    if (remaining.length === 0) {
+      remaining.push(createConversation({
+        workingDirectory: activeConversation.workingDirectory,
+        repositoryType: activeConversation.repositoryType,
+        repositoryRef: activeConversation.repositoryRef,
+        verbose: activeConversation.verbose,
+        runSettings: activeConversation.runSettings
+      }))
+    }
+
+    setConversations(remaining)
+    if (id === activeConversation.id) {
+      setActiveId(remaining[0].id)
+    }
+  }
+
+  return {
+    conversations,
+    activeConversation,
+    selectConversation: setActiveId,
+    updateConversation,
+    newConversation,
+    importConversation,
+    renameConversation,
+    deleteConversation,
+    saveFailed
+  }
+}
+
+export default useConversations
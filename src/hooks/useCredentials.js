@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react'
+import { subscribeCredentials, getCredentials } from '../services/credentials'
+
+// Saved access tokens keyed by host, re-rendering when one is added or forgotten
+function useCredentials() {
+  return useSyncExternalStore(subscribeCredentials, getCredentials)
+}
+
+export default useCredentials
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react'
+import { loadDrafts, saveDrafts } from '../services/conversationStore'
+
+const SAVE_DELAY_MS = 500
+
+// Composer text for `conversationId`, preserved when switching conversations
+// and across reloads
+function useDrafts(conversationId) {
+  const [drafts, setDrafts] = useState(loadDrafts)
+
+  useEffect(() => {
+    const timeout = setTimeout(() => saveDrafts(drafts), SAVE_DELAY_MS)
+    return () => clearTimeout(timeout)
+  }, [drafts])
+
+  const setDraft = (text) => {
+    setDrafts(prev => ({ ...prev, [conversationId]: text }))
+  }
+
+  return [drafts[conversationId] || '', setDraft]
+}
+
+export default useDrafts
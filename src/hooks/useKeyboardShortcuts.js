@@ -0,0 +1,25 @@
+import { useEffect, useRef } from 'react'
+import { SHORTCUTS } from '../services/shortcuts'
+
+// `handlers` maps shortcut ids from SHORTCUTS to callbacks. Kept in a ref so
+// the listener is attached once rather than on every render.
+function useKeyboardShortcuts(handlers) {
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const shortcut = SHORTCUTS.find(s => s.matches(e))
+      const handler = shortcut && handlersRef.current[shortcut.id]
+      if (!handler) return
+
+      e.preventDefault()
+      handler()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+}
+
+export default useKeyboardShortcuts
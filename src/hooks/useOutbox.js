@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react'
+import { createOutboxItem, loadOutbox, saveOutbox } from '../services/outboxStore'
+
+// Persisted queue of prompts waiting for the backend. Items stay in the
+// outbox until the app takes them out to send.
+function useOutbox() {
+  const [items, setItems] = useState(loadOutbox)
+
+  useEffect(() => {
+    saveOutbox(items)
+  }, [items])
+
+  const enqueue = useCallback((entry) => {
+    setItems(prev => [...prev, createOutboxItem(entry)])
+  }, [])
+
+  const update = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)))
+  }, [])
+
+  const remove = useCallback((id) => {
+    setItems(prev => prev.filter(item => item.id !== id))
+  }, [])
+
+  const removeConversation = useCallback((conversationId) => {
+    setItems(prev => prev.filter(item => item.conversationId !== conversationId))
+  }, [])
+
+  return { items, enqueue, update, remove, removeConversation }
+}
+
+export default useOutbox
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react'
+import { listRepositoryFiles } from '../services/api'
+import { describeError } from '../services/errorMessages'
+
+// Loads the repository listing the first time something needs it (the file
+// tree or @-mention autocomplete) and keeps it until the repository changes
+function useRepositoryFiles(workingDirectory, repoRef, enabled) {
+  const [listing, setListing] = useState({ status: 'idle', entries: [] })
+  const [reloadKey, setReloadKey] = useState(0)
+  const [loadedKey, setLoadedKey] = useState(null)
+
+  const key = `${workingDirectory}@${repoRef?.type || ''}:${repoRef?.name || ''}#${reloadKey}`
+
+  useEffect(() => {
+    if (!enabled || loadedKey === key) return
+
+    const controller = new AbortController()
+    setListing({ status: 'loading', entries: [] })
+
+    listRepositoryFiles({ workingDirectory, repoRef, signal: controller.signal })
+      .then(entries => {
+        setListing({ status: 'loaded', entries })
+        setLoadedKey(key)
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          setListing({ status: 'error', entries: [], error: describeError(error) })
+          setLoadedKey(key)
+        }
+      })
+
+    return () => controller.abort()
+  }, [enabled, key, loadedKey, workingDirectory, repoRef])
+
+  const reload = () => setReloadKey(k => k + 1)
+
+  // A listing fetched for another repository is never shown for this one
+  if (loadedKey !== key && listing.status !== 'loading') {
+    return { status: 'idle', entries: [], reload }
+  }
+
+  return { ...listing, reload }
+}
+
+export default useRepositoryFiles
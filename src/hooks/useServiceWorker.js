@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react'
+import { registerServiceWorker, activateUpdate } from '../services/pwa'
+
+function useServiceWorker() {
+  const [waitingWorker, setWaitingWorker] = useState(null)
+
+  useEffect(() => registerServiceWorker(setWaitingWorker), [])
+
+  return {
+    updateReady: Boolean(waitingWorker),
+    applyUpdate: () => activateUpdate(waitingWorker),
+    dismissUpdate: () => setWaitingWorker(null)
+  }
+}
+
+export default useServiceWorker
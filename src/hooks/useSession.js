@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react'
+import { subscribeSession, getSessionState } from '../services/auth'
+
+// `{ session, notice }` from the auth service, re-rendering on sign-in and sign-out
+function useSession() {
+  return useSyncExternalStore(subscribeSession, getSessionState)
+}
+
+export default useSession
@@ -0,0 +1,86 @@
+// Minimal ANSI SGR support for terminal output: the 16 standard colors,
+// 256-color and truecolor foregrounds/backgrounds, bold, dim, italic and
+// underline. Other escape sequences (cursor movement, clearing) are dropped.
+const BASE_COLORS = [
+  '#1e293b', '#f87171', '#4ade80', '#facc15', '#60a5fa', '#c084fc', '#22d3ee', '#e2e8f0'
+]
+const BRIGHT_COLORS = [
+  '#64748b', '#fca5a5', '#86efac', '#fde047', '#93c5fd', '#d8b4fe', '#67e8f9', '#ffffff'
+]
+
+// Built from a string so the ESC character isn't a control char in a regex literal
+const ESCAPE_PATTERN = new RegExp(`${String.fromCharCode(27)}\\[([0-9;]*)([A-Za-z])`, 'g')
+
+// xterm 256-color palette: 16 base colors, a 6x6x6 cube, then a gray ramp
+const color256 = (n) => {
+  if (n < 8) return BASE_COLORS[n]
+  if (n < 16) return BRIGHT_COLORS[n - 8]
+  if (n < 232) {
+    const level = (v) => (v === 0 ? 0 : 55 + v * 40)
+    const i = n - 16
+    return `rgb(${level(Math.floor(i / 36))}, ${level(Math.floor(i / 6) % 6)}, ${level(i % 6)})`
+  }
+  const gray = 8 + (n - 232) * 10
+  return `rgb(${gray}, ${gray}, ${gray})`
+}
+
+// Reads an extended color (`38;5;n` or `38;2;r;g;b`) starting at codes[i]
+const readExtendedColor = (codes, i) => {
+  if (codes[i + 1] === 5) return { color: color256(codes[i + 2] ?? 0), next: i + 3 }
+  if (codes[i + 1] === 2) {
+    const [r = 0, g = 0, b = 0] = codes.slice(i + 2, i + 5)
+    return { color: `rgb(${r}, ${g}, ${b})`, next: i + 5 }
+  }
+  return { color: null, next: i + 1 }
+}
+
+const applyCodes = (style, codes) => {
+  const next = { ...style }
+  for (let i = 0; i < codes.length;) {
+    const code = codes[i]
+    if (code === 0) Object.keys(next).forEach(key => delete next[key])
+    else if (code === 1) next.fontWeight = 'bold'
+    else if (code === 2) next.opacity = 0.7
+    else if (code === 3) next.fontStyle = 'italic'
+    else if (code === 4) next.textDecoration = 'underline'
+    else if (code === 22) { delete next.fontWeight; delete next.opacity }
+    else if (code === 23) delete next.fontStyle
+    else if (code === 24) delete next.textDecoration
+    else if (code >= 30 && code <= 37) next.color = BASE_COLORS[code - 30]
+    else if (code >= 90 && code <= 97) next.color = BRIGHT_COLORS[code - 90]
+    else if (code === 39) delete next.color
+    else if (code >= 40 && code <= 47) next.backgroundColor = BASE_COLORS[code - 40]
+    else if (code >= 100 && code <= 107) next.backgroundColor = BRIGHT_COLORS[code - 100]
+    else if (code === 49) delete next.backgroundColor
+    else if (code === 38 || code === 48) {
+      const { color, next: after } = readExtendedColor(codes, i)
+      if (color) next[code === 38 ? 'color' : 'backgroundColor'] = color
+      i = after
+      continue
+    }
+    i++
+  }
+  return next
+}
+
+// Splits text into `{ text, style }` segments, where `style` is a React style
+// object. `initialStyle` carries state over from the previous chunk.
+export const parseAnsi = (text, initialStyle = {}) => {
+  const segments = []
+  let style = initialStyle
+  let lastIndex = 0
+
+  for (const match of text.matchAll(ESCAPE_PATTERN)) {
+    if (match.index > lastIndex) segments.push({ text: text.slice(lastIndex, match.index), style })
+    if (match[2] === 'm') {
+      const codes = match[1] === '' ? [0] : match[1].split(';').map(Number)
+      style = applyCodes(style, codes)
+    }
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex), style })
+
+  return { segments, style }
+}
+
+export const stripAnsi = (text) => text.replace(ESCAPE_PATTERN, '')
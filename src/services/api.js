@@ -1,71 +1,307 @@
-const API_BASE_URL = 'https://codebuddy-backend-2e8g.onrender.com/api';
+import { request, send, readJson, toHttpError, ServerError, ValidationError } from './httpClient'
+import { findCredential } from './credentials'
 
+// Agent runs on large repositories routinely take over a minute
+const CHAT_TIMEOUT_MS = 5 * 60 * 1000
+const VALIDATION_TIMEOUT_MS = 2 * 60 * 1000
+const HEALTH_TIMEOUT_MS = 10000
 
-export const sendPrompt = async ({ prompt, workingDirectory, verbose }) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/chat`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        prompt,
-        working_directory: workingDirectory,
-        verbose
-      })
-    })
+// `toolApproval` is `{ enabled, policies }`: with approvals enabled the backend
+// pauses before tools whose policy is `ask` and waits for respondToApproval
+const toolApprovalBody = (toolApproval) => toolApproval
+  ? { approval_mode: toolApproval.enabled, tool_policies: toolApproval.policies }
+  : {}
 
-    const data = await response.json()
-    
-    if (!response.ok) {
-      throw new Error(data.error || `HTTP error! status: ${response.status}`)
-    }
+// `runSettings` comes from the conversation (see runSettings.js); unset values
+// are left out so the backend applies its own defaults
+const runSettingsBody = (runSettings) => {
+  if (!runSettings) return {}
+  const body = {}
+  if (runSettings.model) body.model = runSettings.model
+  if (runSettings.maxIterations != null) body.max_iterations = runSettings.maxIterations
+  if (runSettings.temperature != null) body.temperature = runSettings.temperature
+  if (runSettings.allowedTools) body.allowed_tools = runSettings.allowedTools
+  return body
+}
+
+// Access token for private repositories, sent only to calls that name a
+// repository on a host the user has a token for
+const credentialsBody = (repoUrl) => {
+  const credential = findCredential(repoUrl)
+  return credential
+    ? { credentials: { host: credential.host, token: credential.token, username: credential.username || undefined } }
+    : {}
+}
 
-    return data
+// A rejected path or URL comes back as `{ valid: false, error, status, code }`
+// like the backend's own negative answer; transport and server failures throw
+const validate = async (path, body, signal) => {
+  try {
+    return await request(path, { method: 'POST', body, signal, timeout: VALIDATION_TIMEOUT_MS })
   } catch (error) {
-    console.error('API Error:', error)
+    if (error instanceof ValidationError) {
+      return { valid: false, error: error.message, status: error.status, code: error.data?.error_code }
+    }
     throw error
   }
 }
 
-export const validateDirectory = async (directory) => {
+export const validateDirectory = (directory, { signal } = {}) =>
+  validate('/validate-directory', { directory }, signal)
+
+// `ref` pins the repository to a branch, tag or commit: `{ type, name }`
+export const validateRepository = (repoUrl, { ref, signal } = {}) =>
+  validate('/validate-repo', {
+    repo_url: repoUrl,
+    ref: ref?.name,
+    ref_type: ref?.type,
+    ...credentialsBody(repoUrl)
+  }, signal)
+
+// Flat `[{ path, type: 'file' | 'dir', size }]` listing of the repository
+export const listRepositoryFiles = async ({ workingDirectory, repoRef, signal }) => {
+  const data = await request('/list-files', {
+    method: 'POST',
+    signal,
+    timeout: VALIDATION_TIMEOUT_MS,
+    body: { working_directory: workingDirectory, repo_ref: repoRef, ...credentialsBody(workingDirectory) }
+  })
+  return data.files || []
+}
+
+export const readRepositoryFile = ({ workingDirectory, repoRef, path, signal }) => request('/read-file', {
+  method: 'POST',
+  signal,
+  body: { working_directory: workingDirectory, repo_ref: repoRef, path, ...credentialsBody(workingDirectory) }
+})
+
+// `patch` is a `git apply`-compatible diff of the accepted hunks
+export const applyCodeChanges = ({ workingDirectory, repoRef, patch }) => request('/apply-changes', {
+  method: 'POST',
+  timeout: VALIDATION_TIMEOUT_MS,
+  body: { working_directory: workingDirectory, repo_ref: repoRef, patch, ...credentialsBody(workingDirectory) }
+})
+
+// Answers an `approval_required` stream event; `decision` is approve or deny
+export const respondToApproval = ({ approvalId, decision }) => request('/chat/approval', {
+  method: 'POST',
+  body: { approval_id: approvalId, decision }
+})
+
+// Stops a command started during a streamed reply (`command_start` events)
+export const killCommand = ({ commandId }) => request('/commands/kill', {
+  method: 'POST',
+  body: { command_id: commandId }
+})
+
+// Sign-in calls answer `{ access_token, refresh_token, expires_in, user }`;
+// they go out without a bearer token and never trigger a sign-out
+export const signInWithPassword = ({ username, password }) => request('/auth/login', {
+  method: 'POST',
+  auth: false,
+  body: { username, password }
+})
+
+// Exchanges a long-lived API token issued by the backend for a session
+export const signInWithApiToken = (apiToken) => request('/auth/token', {
+  method: 'POST',
+  auth: false,
+  body: { token: apiToken }
+})
+
+export const refreshAccessToken = (refreshToken) => request('/auth/refresh', {
+  method: 'POST',
+  auth: false,
+  body: { refresh_token: refreshToken }
+})
+
+export const revokeSession = (refreshToken) => request('/auth/logout', {
+  method: 'POST',
+  auth: false,
+  body: { refresh_token: refreshToken }
+})
+
+export const checkBackendHealth = async (baseUrl) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/validate-directory`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ directory })
+    const data = await request('/health', {
+      baseUrl,
+      auth: false,
+      timeout: HEALTH_TIMEOUT_MS,
+      retries: 2
     })
+    return { healthy: true, data }
+  } catch (error) {
+    return { healthy: false, error: error.message, errorType: error.name, status: error.status, isHtml: Boolean(error.isHtml) }
+  }
+}
 
-    return await response.json()
+// Stream events arrive either as SSE (`data: {...}` blocks separated by a blank
+// line) or as NDJSON (one JSON object per line)
+const parseStreamChunk = (chunk, isSSE) => {
+  if (!isSSE) {
+    const line = chunk.trim()
+    return line ? JSON.parse(line) : null
+  }
+
+  let eventType = null
+  const dataLines = []
+  for (const line of chunk.split(/\r?\n/)) {
+    if (line.startsWith('event:')) eventType = line.slice(6).trim()
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''))
+  }
+
+  const data = dataLines.join('\n')
+  if (!data || data === '[DONE]') return null
+
+  const event = JSON.parse(data)
+  return eventType && !event.type ? { ...event, type: eventType } : event
+}
+
+const readEventStream = async (response, onEvent) => {
+  const isSSE = (response.headers.get('Content-Type') || '').includes('text/event-stream')
+  const separator = isSSE ? /\r?\n\r?\n/ : /\r?\n/
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      buffer += decoder.decode(value, { stream: true })
+      const chunks = buffer.split(separator)
+      buffer = chunks.pop()
+
+      for (const chunk of chunks) {
+        const event = parseStreamChunk(chunk, isSSE)
+        if (event) onEvent(event)
+      }
+    }
+
+    const event = parseStreamChunk(buffer + decoder.decode(), isSSE)
+    if (event) onEvent(event)
   } catch (error) {
-    return { valid: false, error: error.message }
+    // An `error` event or a failed read ends the reply; close the connection
+    // too instead of leaving the backend streaming to nobody
+    await reader.cancel().catch(() => {})
+    throw error
+  } finally {
+    reader.releaseLock()
   }
 }
 
-export const validateRepository = async (repoUrl) => {
+const isStreamingResponse = (response) => {
+  const contentType = response.headers.get('Content-Type') || ''
+  return Boolean(response.body) && (
+    contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson')
+  )
+}
+
+// Sends a prompt to the agent and asks the backend to stream its progress.
+// Backends that don't support streaming answer with the usual JSON body, which
+// is returned as-is so callers can treat both paths the same way.
+export const streamPrompt = async ({
+  prompt,
+  workingDirectory,
+  repoRef,
+  verbose,
+  history = [],
+  contextFiles = [],
+  contextSnippets = [],
+  toolApproval = null,
+  runSettings = null,
+  signal,
+  onToken = () => {},
+  onFunctionCallStart = () => {},
+  onFunctionCallEnd = () => {},
+  onApprovalRequired = () => {},
+  onCommandStart = () => {},
+  onCommandOutput = () => {},
+  onCommandEnd = () => {}
+}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/validate-repo`, {
+    const response = await send('/chat', {
       method: 'POST',
+      signal,
+      timeout: CHAT_TIMEOUT_MS,
       headers: {
-        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream, application/x-ndjson, application/json'
       },
-      body: JSON.stringify({ repo_url: repoUrl })
+      body: {
+        prompt,
+        working_directory: workingDirectory,
+        repo_ref: repoRef,
+        verbose,
+        history,
+        context_files: contextFiles,
+        context_snippets: contextSnippets,
+        ...credentialsBody(workingDirectory),
+        ...toolApprovalBody(toolApproval),
+        ...runSettingsBody(runSettings),
+        stream: true
+      }
     })
 
-    return await response.json()
-  } catch (error) {
-    return { valid: false, error: error.message }
-  }
-}
+    // Error statuses never carry a real stream, whatever their Content-Type says
+    if (!response.ok && isStreamingResponse(response)) {
+      await response.body.cancel().catch(() => {})
+      throw toHttpError(response)
+    }
 
-export const checkBackendHealth = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/health`)
-    const data = await response.json()
-    return { healthy: response.ok, data }
+    if (!isStreamingResponse(response)) {
+      return await readJson(response)
+    }
+
+    let streamedText = ''
+    const functionCalls = []
+    let result = null
+
+    await readEventStream(response, (event) => {
+      switch (event.type) {
+        case 'token':
+          streamedText += event.content || ''
+          onToken(event.content || '')
+          break
+        case 'function_call_start':
+          onFunctionCallStart(event)
+          break
+        case 'function_call_end':
+          functionCalls.push(event)
+          onFunctionCallEnd(event)
+          break
+        case 'approval_required':
+          onApprovalRequired(event)
+          break
+        case 'command_start':
+          onCommandStart(event)
+          break
+        case 'command_output':
+          onCommandOutput(event)
+          break
+        case 'command_end':
+          onCommandEnd(event)
+          break
+        case 'done': {
+          const { type: _type, ...payload } = event
+          result = payload
+          break
+        }
+        case 'error':
+          throw new ServerError(event.error || 'Stream error', { status: response.status })
+        default:
+          break
+      }
+    })
+
+    return {
+      success: true,
+      ...result,
+      finalResponse: result?.finalResponse ?? streamedText,
+      functionCalls: result?.functionCalls ?? functionCalls
+    }
   } catch (error) {
-    return { healthy: false, error: error.message }
+    if (error.name !== 'AbortError') console.error('API Error:', error)
+    throw error
   }
 }
@@ -0,0 +1,31 @@
+export const EMPTY_ATTACHMENTS = { files: [], snippets: [] }
+
+export const hasAttachments = (attachments) => Boolean(
+  attachments && (attachments.files.length > 0 || attachments.snippets.length > 0)
+)
+
+// `@query` right before the caret, if the user is in the middle of a mention
+export const findMentionQuery = (text, caret) => {
+  const match = /(^|\s)@([^\s@]*)$/.exec(text.slice(0, caret))
+  return match ? { query: match[2], start: caret - match[2].length - 1 } : null
+}
+
+// Ranks basename prefix matches above matches anywhere in the path
+export const suggestFiles = (entries, query, limit = 8) => {
+  const needle = query.toLowerCase()
+  return entries
+    .filter(entry => entry.type !== 'dir' && entry.path.toLowerCase().includes(needle))
+    .map(entry => {
+      const basename = entry.path.slice(entry.path.lastIndexOf('/') + 1).toLowerCase()
+      return { path: entry.path, rank: basename.startsWith(needle) ? 0 : 1 }
+    })
+    .sort((a, b) => a.rank - b.rank || a.path.length - b.path.length)
+    .slice(0, limit)
+    .map(entry => entry.path)
+}
+
+export const createSnippet = (content, existingSnippets) => ({
+  id: `snippet-${Date.now()}`,
+  name: `snippet-${existingSnippets.length + 1}`,
+  content
+})
@@ -0,0 +1,134 @@
+import { setAuthProvider, ValidationError } from './httpClient'
+import { signInWithPassword, signInWithApiToken, refreshAccessToken, revokeSession } from './api'
+import { setStorageScope } from './storageScope'
+import { forgetAllCredentials } from './credentials'
+import { getApiBaseUrl } from './backendConfig'
+
+const SESSION_KEY = 'codebuddy.session'
+// Refresh slightly early so a request doesn't leave with a token about to lapse
+const EXPIRY_MARGIN_MS = 30000
+
+// `session` is `{ accessToken, refreshToken, expiresAt, baseUrl, user: { id, name, email } }`,
+// `{ guest: true }` for backends that don't require signing in, or null when
+// signed out. `notice` explains why the user was signed out, if it wasn't them.
+// `baseUrl` is the backend that issued the tokens; they are never sent elsewhere.
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY))
+  } catch {
+    return null
+  }
+}
+
+// Backends identify users differently; any of these keeps people apart
+export const userKey = (user) => user?.id ?? user?.username ?? user?.email ?? null
+
+let state = { session: loadSession(), notice: null }
+let refreshing = null
+const listeners = new Set()
+setStorageScope(userKey(state.session?.user))
+
+const commit = (next) => {
+  state = next
+  setStorageScope(userKey(next.session?.user))
+  if (next.session) localStorage.setItem(SESSION_KEY, JSON.stringify(next.session))
+  else localStorage.removeItem(SESSION_KEY)
+  listeners.forEach(listener => listener())
+}
+
+const toSession = (data, previous = {}) => ({
+  accessToken: data.access_token ?? data.token,
+  refreshToken: data.refresh_token ?? previous.refreshToken ?? null,
+  expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+  baseUrl: previous.baseUrl ?? getApiBaseUrl(),
+  user: data.user ?? previous.user ?? null
+})
+
+const isForOtherBackend = (session) => Boolean(session?.accessToken) && session.baseUrl !== getApiBaseUrl()
+
+// For useSyncExternalStore
+export const subscribeSession = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const getSessionState = () => state
+
+export const displayName = (user) => user?.name || user?.username || user?.email || 'Signed in'
+
+export const signIn = async ({ username, password, apiToken }) => {
+  const data = apiToken
+    ? await signInWithApiToken(apiToken.trim())
+    : await signInWithPassword({ username: username.trim(), password })
+  if (!data?.access_token && !data?.token) throw new Error('The backend did not return a session token.')
+  commit({ session: toSession(data), notice: null })
+}
+
+export const continueAsGuest = () => {
+  commit({ session: { guest: true }, notice: null })
+}
+
+const endSession = (notice) => {
+  forgetAllCredentials()
+  commit({ session: null, notice })
+}
+
+// Tokens belong to the backend that issued them, so switching backends ends
+// the session rather than handing them to another server
+export const endSessionIfBackendChanged = () => {
+  if (isForOtherBackend(state.session)) {
+    endSession('You were signed out because the backend changed. Sign in to continue.')
+  }
+}
+
+export const signOut = () => {
+  const refreshToken = state.session?.refreshToken
+  // Best effort: the local session ends whether or not the backend hears about it
+  if (refreshToken) revokeSession(refreshToken).catch(() => {})
+  endSession(null)
+}
+
+// Concurrent requests that all hit an expired token share one refresh. A
+// rejected refresh token resolves to null; network failures are thrown so a
+// flaky connection doesn't sign anyone out.
+const refresh = () => {
+  const session = state.session
+  if (!session?.refreshToken || isForOtherBackend(session)) return Promise.resolve(null)
+
+  refreshing ??= refreshAccessToken(session.refreshToken)
+    .then(data => {
+      // Signed out or switched user while the refresh was in flight
+      if (state.session !== session) return null
+      commit({ session: toSession(data, session), notice: null })
+      return state.session.accessToken
+    })
+    .catch(error => {
+      if (error instanceof ValidationError) return null
+      throw error
+    })
+    .finally(() => {
+      refreshing = null
+    })
+  return refreshing
+}
+
+const getAccessToken = async () => {
+  endSessionIfBackendChanged()
+  const session = state.session
+  if (!session?.accessToken) return null
+  if (session.expiresAt && Date.now() > session.expiresAt - EXPIRY_MARGIN_MS && session.refreshToken) {
+    return (await refresh()) ?? session.accessToken
+  }
+  return session.accessToken
+}
+
+setAuthProvider({
+  getAccessToken,
+  refresh,
+  onUnauthorized: () => {
+    if (!state.session) return
+    endSession(state.session.guest
+      ? 'This backend requires you to sign in.'
+      : 'Your session has expired. Sign in again to continue.')
+  }
+})
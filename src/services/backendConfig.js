@@ -0,0 +1,60 @@
+const PROFILE_KEY = 'codebuddy.backendProfile'
+const CUSTOM_URL_KEY = 'codebuddy.backendCustomUrl'
+
+const normalizeUrl = (url) => (url || '').trim().replace(/\/+$/, '')
+
+// Build-time URLs come from Vite env variables (see .env.example); the
+// custom profile is the runtime override set from the settings panel
+export const BACKEND_PROFILES = {
+  local: {
+    label: 'Local',
+    url: normalizeUrl(import.meta.env.VITE_API_LOCAL_URL || 'http://localhost:5000/api')
+  },
+  staging: {
+    label: 'Staging',
+    url: normalizeUrl(import.meta.env.VITE_API_STAGING_URL)
+  },
+  prod: {
+    label: 'Production',
+    url: normalizeUrl(import.meta.env.VITE_API_BASE_URL || 'https://codebuddy-backend-2e8g.onrender.com/api')
+  }
+}
+
+export const CUSTOM_PROFILE = 'custom'
+
+const DEFAULT_PROFILE = BACKEND_PROFILES[import.meta.env.VITE_API_PROFILE] ? import.meta.env.VITE_API_PROFILE : 'prod'
+
+export const getCustomBackendUrl = () => localStorage.getItem(CUSTOM_URL_KEY) || ''
+
+export const setCustomBackendUrl = (url) => {
+  const normalized = normalizeUrl(url)
+  if (normalized) localStorage.setItem(CUSTOM_URL_KEY, normalized)
+  else localStorage.removeItem(CUSTOM_URL_KEY)
+  return normalized
+}
+
+// Profiles that actually have a URL to talk to, in display order
+export const getAvailableProfiles = () => {
+  const profiles = Object.entries(BACKEND_PROFILES)
+    .filter(([, profile]) => profile.url)
+    .map(([id, profile]) => ({ id, ...profile }))
+
+  const customUrl = getCustomBackendUrl()
+  if (customUrl) profiles.push({ id: CUSTOM_PROFILE, label: 'Custom', url: customUrl })
+
+  return profiles
+}
+
+export const getBackendProfile = () => {
+  const stored = localStorage.getItem(PROFILE_KEY)
+  return getAvailableProfiles().some(p => p.id === stored) ? stored : DEFAULT_PROFILE
+}
+
+export const setBackendProfile = (profileId) => {
+  localStorage.setItem(PROFILE_KEY, profileId)
+}
+
+export const getApiBaseUrl = () => {
+  const profileId = getBackendProfile()
+  return profileId === CUSTOM_PROFILE ? getCustomBackendUrl() : BACKEND_PROFILES[profileId].url
+}
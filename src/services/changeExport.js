@@ -0,0 +1,107 @@
+import JSZip from 'jszip'
+import { applyPatch, structuredPatch } from 'diff'
+import {
+  getMessageChanges,
+  hunkKey,
+  formatFilePatch,
+  readOriginalFile,
+  DIFF_CONTEXT_LINES
+} from './codeChanges'
+
+// Every change proposed in the conversation, oldest first. Once a reply has
+// a decision on any hunk only its accepted hunks are kept, as in
+// buildAcceptedPatch; replies never reviewed export everything they proposed.
+// Replies whose changes were already applied to the repository are left out.
+export const collectConversationChanges = (messages) => messages
+  .filter(message => !message.changesApplied)
+  .flatMap(message => {
+    const decisions = message.changeDecisions || {}
+    const reviewed = Object.values(decisions).some(decision => decision != null)
+    const isKept = (change, index) => !reviewed || decisions[hunkKey(change.id, index)] === 'accepted'
+
+    return getMessageChanges(message)
+      // A write whose hunks were never worked out can't have been accepted
+      .filter(change => !reviewed || change.hunks?.length > 0)
+      .map(change => {
+        const hunks = change.hunks || []
+        const keptHunks = hunks.filter((_, index) => isKept(change, index))
+        return { ...change, partial: keptHunks.length < hunks.length, keptHunks }
+      })
+  })
+
+// Replays the changes on top of the current repository files, so a file
+// edited across several replies ends up as a single diff. Changes that no
+// longer apply cleanly are reported in `skipped` instead of failing the export.
+export const buildChangeSet = async (messages, { workingDirectory, repoRef, signal }) => {
+  const files = new Map()
+  const skipped = []
+
+  for (const change of collectConversationChanges(messages)) {
+    if (!files.has(change.path)) {
+      const original = change.oldPath
+        ? await readOriginalFile({ workingDirectory, repoRef, path: change.oldPath, signal })
+        : null
+      files.set(change.path, { path: change.path, oldPath: change.oldPath, original, content: original })
+    }
+
+    const file = files.get(change.path)
+    if (change.source === 'write' && !change.partial) {
+      file.content = change.newContent
+      continue
+    }
+    if (change.keptHunks.length === 0) continue
+
+    const result = applyPatch(file.content ?? '', { hunks: change.keptHunks })
+    if (result === false) {
+      skipped.push(change.path)
+    } else {
+      file.content = change.newPath ? result : null
+    }
+  }
+
+  return {
+    files: [...files.values()].filter(file => file.content !== file.original),
+    skipped
+  }
+}
+
+// jsdiff treats the empty side of an added or deleted file as lacking a final
+// newline and marks the other side's last line with "\ No newline at end of
+// file", which git then refuses. The marker only stays when the one real side
+// does end without a newline.
+const NO_NEWLINE_MARKER = '\\ No newline at end of file'
+
+const hasFalseNewlineMarker = (file) => {
+  const existing = file.content === null ? file.original : file.original === null ? file.content : null
+  return existing !== null && existing.endsWith('\n')
+}
+
+export const formatChangeSetPatch = (files) => files
+  .map(file => {
+    const oldPath = file.original === null ? null : file.oldPath || file.path
+    const newPath = file.content === null ? null : file.path
+    const { hunks: diffHunks } = structuredPatch(
+      file.path,
+      file.path,
+      file.original ?? '',
+      file.content ?? '',
+      '',
+      '',
+      { context: DIFF_CONTEXT_LINES }
+    )
+    const hunks = hasFalseNewlineMarker(file)
+      ? diffHunks.map(hunk => ({ ...hunk, lines: hunk.lines.filter(line => line !== NO_NEWLINE_MARKER) }))
+      : diffHunks
+    return formatFilePatch({ oldPath, newPath }, hunks)
+  })
+  .join('')
+
+// Deleted files have nothing to put in the archive
+export const buildChangeSetZip = (files, folder) => {
+  const zip = new JSZip()
+  const root = zip.folder(folder)
+  files
+    .filter(file => file.content !== null)
+    .forEach(file => root.file(file.path, file.content))
+  return zip.generateAsync({ type: 'blob' })
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { execFileSync } from 'node:child_process'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { formatChangeSetPatch, collectConversationChanges } from './changeExport'
+import { hunkKey } from './codeChanges'
+
+const directories = []
+
+// Writes the original files into a fresh git repository and asks git whether
+// the exported patch applies to them
+const gitApplyCheck = (files, patch) => {
+  const dir = mkdtempSync(join(tmpdir(), 'change-export-'))
+  directories.push(dir)
+  execFileSync('git', ['init', '-q'], { cwd: dir })
+  files
+    .filter(file => file.original !== null)
+    .forEach(file => writeFileSync(join(dir, file.oldPath || file.path), file.original))
+  writeFileSync(join(dir, 'changes.patch'), patch)
+  execFileSync('git', ['apply', '--check', 'changes.patch'], { cwd: dir, stdio: 'pipe' })
+}
+
+afterEach(() => {
+  directories.splice(0).forEach(dir => rmSync(dir, { recursive: true, force: true }))
+})
+
+describe('formatChangeSetPatch', () => {
+  it('exports new, modified and deleted files as a patch git can apply', () => {
+    const files = [
+      { path: 'new.txt', oldPath: null, original: null, content: 'hello\nworld\n' },
+      { path: 'edited.txt', oldPath: 'edited.txt', original: 'one\ntwo\nthree\n', content: 'one\n2\nthree\n' },
+      { path: 'a.txt', oldPath: 'a.txt', original: 'gone\nsoon\n', content: null }
+    ]
+    const patch = formatChangeSetPatch(files)
+
+    expect(patch).not.toContain('\\ No newline at end of file')
+    expect(() => gitApplyCheck(files, patch)).not.toThrow()
+  })
+
+  it('keeps the marker when a file really lacks a trailing newline', () => {
+    const files = [
+      { path: 'b.txt', oldPath: 'b.txt', original: 'x\ny', content: 'x\nz' },
+      { path: 'c.txt', oldPath: 'c.txt', original: 'no newline', content: null }
+    ]
+    const patch = formatChangeSetPatch(files)
+
+    expect(patch).toContain('\\ No newline at end of file')
+    expect(() => gitApplyCheck(files, patch)).not.toThrow()
+  })
+})
+
+describe('collectConversationChanges', () => {
+  const reply = (changeDecisions) => ({
+    id: 1,
+    type: 'ai',
+    content: '```diff\n--- a/x.txt\n+++ b/x.txt\n@@ -1,1 +1,1 @@\n-a\n+b\n@@ -10,1 +10,1 @@\n-c\n+d\n```',
+    functionCalls: [{ name: 'write_file', args: { path: 'y.txt', content: 'new\n' } }],
+    changeDecisions
+  })
+
+  it('exports every change of a reply that was never reviewed', () => {
+    const changes = collectConversationChanges([reply(undefined)])
+    expect(changes.map(change => [change.path, change.keptHunks.length])).toEqual([['x.txt', 2], ['y.txt', 0]])
+  })
+
+  it('treats decisions toggled back to undecided as not reviewed', () => {
+    const changes = collectConversationChanges([reply({ [hunkKey('0', 0)]: null })])
+    expect(changes).toHaveLength(2)
+  })
+
+  it('keeps only accepted hunks once a reply is reviewed', () => {
+    const changes = collectConversationChanges([reply({ [hunkKey('0', 1)]: 'accepted' })])
+    expect(changes).toHaveLength(1)
+    expect(changes[0].keptHunks.map(hunk => hunk.oldStart)).toEqual([10])
+  })
+})
@@ -0,0 +1,157 @@
+import { parsePatch, structuredPatch } from 'diff'
+import { normalizePath, parseArgs, PATH_ARGUMENT_KEYS } from './fileTree'
+import { toFunctionCallRecord } from './functionCalls'
+import { readRepositoryFile } from './api'
+import { ValidationError } from './httpClient'
+
+const WRITE_TOOL_NAMES = ['write_file', 'write_to_file', 'create_file', 'save_file', 'overwrite_file', 'update_file']
+const CONTENT_ARGUMENT_KEYS = ['content', 'new_content', 'file_content', 'text']
+const DIFF_BLOCK_PATTERN = /```(?:diff|patch)[^\n]*\n([\s\S]*?)```/g
+export const DIFF_CONTEXT_LINES = 3
+
+const cleanFileName = (name) => {
+  if (!name || name === '/dev/null') return null
+  return normalizePath(name.replace(/^[ab]\//, ''))
+}
+
+const firstString = (args, keys) => keys.map(key => args[key]).find(value => typeof value === 'string')
+
+export const hunkKey = (changeId, hunkIndex) => `${changeId}:${hunkIndex}`
+
+// File changes proposed by an AI message: fenced ```diff blocks in the reply
+// and write-style tool calls. Write calls only carry the new content, so
+// their hunks stay null until the original file has been fetched and diffed
+// (see resolveWriteChange); resolved hunks are kept on the message.
+export const getMessageChanges = (message) => {
+  if (message.type !== 'ai' || message.streaming) return []
+
+  const changes = []
+
+  for (const [, body] of (message.content || '').matchAll(DIFF_BLOCK_PATTERN)) {
+    let patches
+    try {
+      patches = parsePatch(body)
+    } catch {
+      continue
+    }
+
+    for (const patch of patches) {
+      if (patch.hunks.length === 0) continue
+      const oldPath = cleanFileName(patch.oldFileName)
+      const newPath = cleanFileName(patch.newFileName)
+      changes.push({ path: newPath || oldPath, oldPath, newPath, source: 'diff', hunks: patch.hunks })
+    }
+  }
+
+  for (const call of (message.functionCalls || []).map(toFunctionCallRecord)) {
+    if (!WRITE_TOOL_NAMES.includes(call.name)) continue
+    const args = parseArgs(call.args)
+    const path = firstString(args, PATH_ARGUMENT_KEYS)
+    const newContent = firstString(args, CONTENT_ARGUMENT_KEYS)
+    if (!path || newContent === undefined) continue
+
+    const normalized = normalizePath(path)
+    changes.push({ path: normalized, oldPath: normalized, newPath: normalized, source: 'write', newContent, hunks: null })
+  }
+
+  return changes.map((change, index) => {
+    const id = String(index)
+    const resolved = message.resolvedChanges?.[id]
+    return { ...change, id, ...(change.hunks === null && resolved) }
+  })
+}
+
+// Current content of a file in the repository, or null when the file doesn't
+// exist yet (the backend answers 404)
+export const readOriginalFile = async ({ workingDirectory, repoRef, path, signal }) => {
+  try {
+    const file = await readRepositoryFile({ workingDirectory, repoRef, path, signal })
+    return file.content ?? ''
+  } catch (error) {
+    if (error instanceof ValidationError && error.status === 404) return null
+    throw error
+  }
+}
+
+// `originalContent` is null when the file doesn't exist yet
+export const resolveWriteChange = (change, originalContent) => ({
+  oldPath: originalContent === null ? null : change.path,
+  hunks: structuredPatch(
+    change.path,
+    change.path,
+    originalContent ?? '',
+    change.newContent,
+    '',
+    '',
+    { context: DIFF_CONTEXT_LINES }
+  ).hunks
+})
+
+// Formats the given hunks of one file as a `git apply`-compatible diff. Hunk
+// start lines on the new side are recomputed, since rejected hunks no longer
+// shift the lines that follow them.
+export const formatFilePatch = ({ oldPath, newPath }, hunks) => {
+  const lines = [`diff --git a/${oldPath || newPath} b/${newPath || oldPath}`]
+  if (!oldPath) lines.push('new file mode 100644')
+  if (!newPath) lines.push('deleted file mode 100644')
+  lines.push(`--- ${oldPath ? `a/${oldPath}` : '/dev/null'}`)
+  lines.push(`+++ ${newPath ? `b/${newPath}` : '/dev/null'}`)
+
+  let offset = 0
+  for (const hunk of hunks) {
+    // Unified diff quirk: an empty range starts one line before where it applies
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart
+    const newStart = hunk.newLines === 0 ? hunk.oldStart + offset - 1 : hunk.oldStart + offset
+    lines.push(`@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`, ...hunk.lines)
+    offset += hunk.newLines - hunk.oldLines
+  }
+
+  return `${lines.join('\n')}\n`
+}
+
+export const getAcceptedHunks = (change, decisions = {}) => (change.hunks || [])
+  .filter((_, index) => decisions[hunkKey(change.id, index)] === 'accepted')
+
+// One patch covering every accepted hunk of the message's changes
+export const buildAcceptedPatch = (message) => getMessageChanges(message)
+  .map(change => {
+    const hunks = getAcceptedHunks(change, message.changeDecisions)
+    return hunks.length > 0 ? formatFilePatch(change, hunks) : ''
+  })
+  .join('')
+
+// Pairs removed and added lines row by row for the side-by-side view
+export const toSideBySideRows = (hunk) => {
+  const rows = []
+  let oldLine = hunk.oldStart
+  let newLine = hunk.newStart
+  let removed = []
+  let added = []
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null })
+    }
+    removed = []
+    added = []
+  }
+
+  for (const line of hunk.lines) {
+    const marker = line[0]
+    const text = line.slice(1)
+    if (marker === '-') {
+      removed.push({ type: 'removed', number: oldLine++, text })
+    } else if (marker === '+') {
+      added.push({ type: 'added', number: newLine++, text })
+    } else if (marker === ' ') {
+      flush()
+      rows.push({
+        left: { type: 'context', number: oldLine++, text },
+        right: { type: 'context', number: newLine++, text }
+      })
+    }
+  }
+  flush()
+
+  return rows
+}
@@ -0,0 +1,84 @@
+// Commands the agent runs while answering, kept on the AI message as
+// `commands: [{ id, command, cwd, output, status, exitCode, startedAt, endedAt }]`.
+// `output` is a list of `{ stream, data }` chunks, with neighbouring chunks
+// from the same stream merged.
+
+// Keeps saved conversations well inside the localStorage quota
+const MAX_OUTPUT_CHARS = 100000
+const TRUNCATION_NOTICE = '[earlier output truncated]\n'
+
+const commandId = (event) => event.command_id ?? event.id
+
+const appendOutput = (output, stream, data) => {
+  const last = output[output.length - 1]
+  const next = last?.stream === stream
+    ? [...output.slice(0, -1), { stream, data: last.data + data }]
+    : [...output, { stream, data }]
+
+  const chunks = next[0]?.stream === 'system' ? next.slice(1) : next
+  let total = chunks.reduce((sum, chunk) => sum + chunk.data.length, 0)
+  if (total <= MAX_OUTPUT_CHARS) return next
+
+  // Drop from the front, keeping the tail that is still being written
+  while (total > MAX_OUTPUT_CHARS) {
+    const excess = total - MAX_OUTPUT_CHARS
+    const first = chunks[0]
+    if (first.data.length <= excess) {
+      chunks.shift()
+      total -= first.data.length
+    } else {
+      chunks[0] = { ...first, data: first.data.slice(excess) }
+      total -= excess
+    }
+  }
+  return [{ stream: 'system', data: TRUNCATION_NOTICE }, ...chunks]
+}
+
+export const startCommand = (commands = [], event) => [
+  ...commands,
+  {
+    id: commandId(event),
+    command: event.command,
+    cwd: event.cwd ?? null,
+    output: [],
+    status: 'running',
+    exitCode: null,
+    startedAt: Date.now(),
+    endedAt: null
+  }
+]
+
+export const appendCommandOutput = (commands = [], event) => commands.map(command =>
+  command.id === commandId(event)
+    ? { ...command, output: appendOutput(command.output, event.stream === 'stderr' ? 'stderr' : 'stdout', event.data ?? '') }
+    : command
+)
+
+// Set while a kill request is in flight so the button can't be pressed twice
+export const markKillRequested = (commands = [], id, requested = true) => commands.map(command =>
+  command.id === id ? { ...command, killRequested: requested } : command
+)
+
+export const finishCommand = (commands = [], event) => commands.map(command =>
+  command.id === commandId(event)
+    ? {
+      ...command,
+      killRequested: false,
+      status: event.killed ? 'killed' : 'exited',
+      exitCode: event.exit_code ?? null,
+      endedAt: command.startedAt + (event.duration_ms ?? Date.now() - command.startedAt)
+    }
+    : command
+)
+
+// Commands still running when the reply ends are no longer being watched
+export const settleCommands = (commands = []) => commands.map(command =>
+  command.status === 'running'
+    ? { ...command, status: 'detached', killRequested: false, endedAt: Date.now() }
+    : command
+)
+
+export const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000))
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`
+}
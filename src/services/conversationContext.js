@@ -0,0 +1,29 @@
+export const DEFAULT_CONTEXT_BUDGET = 8000
+export const CONTEXT_BUDGET_OPTIONS = [2000, 8000, 16000, 32000]
+
+// Rough chars-per-token ratio, good enough for a budget indicator
+const CHARS_PER_TOKEN = 4
+
+export const estimateTokens = (chars) => Math.ceil(chars / CHARS_PER_TOKEN)
+
+// Collects prior user/AI turns for the /chat request, newest first until the
+// character budget runs out. Messages before `contextStartId` belong to a
+// context the user reset, and greetings, errors and system notices are never
+// worth sending back to the model.
+export const buildConversationContext = (messages, { contextStartId, maxChars = DEFAULT_CONTEXT_BUDGET } = {}) => {
+  const startIndex = messages.findIndex(m => m.id === contextStartId)
+  const candidates = messages
+    .slice(startIndex + 1)
+    .filter(m => (m.type === 'user' || m.type === 'ai') && !m.isGreeting && !m.streaming && m.content)
+
+  const history = []
+  let chars = 0
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const { type, content } = candidates[i]
+    if (chars + content.length > maxChars) break
+    chars += content.length
+    history.unshift({ role: type === 'user' ? 'user' : 'assistant', content })
+  }
+
+  return { history, chars, omitted: candidates.length - history.length }
+}
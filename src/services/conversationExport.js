@@ -0,0 +1,246 @@
+import { createElement } from 'react'
+import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import rehypeHighlight from 'rehype-highlight'
+import { createConversation, toStoredMessage } from './conversationStore'
+import { formatRef } from './repositoryStore'
+import { hasAttachments } from './attachments'
+import { toFunctionCallRecord } from './functionCalls'
+import { DEFAULT_RUN_SETTINGS } from './runSettings'
+
+const EXPORT_FORMAT = 'codebuddy.conversation'
+const EXPORT_VERSION = 1
+const MESSAGE_TYPES = ['user', 'ai', 'system', 'error']
+
+const SPEAKERS = {
+  user: '🧑 You',
+  ai: '🤖 Code Buddy',
+  system: '⚙️ System',
+  error: '❌ Error'
+}
+
+const isText = (value) => typeof value === 'string' && value.trim() !== ''
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+// Settings that travel with an exported conversation, with the check an
+// imported value has to pass; ids are not exported since an import always
+// creates a new conversation
+const EXPORTED_FIELDS = {
+  title: isText,
+  createdAt: isNumber,
+  updatedAt: isNumber,
+  workingDirectory: isText,
+  repositoryType: (value) => value === 'git' || value === 'local',
+  repositoryRef: (value) => isPlainObject(value) && isText(value.type) && isText(value.name),
+  verbose: (value) => typeof value === 'boolean',
+  contextBudget: isNumber,
+  contextStartId: (value) => isNumber(value) || isText(value),
+  runSettings: isPlainObject
+}
+
+const RUN_SETTINGS_FIELDS = {
+  model: (value) => typeof value === 'string',
+  maxIterations: isNumber,
+  temperature: isNumber,
+  allowedTools: (value) => Array.isArray(value) && value.every(isText)
+}
+
+// Values that fail their check are dropped, leaving the new conversation's default
+const pickValidFields = (source, checks) => Object.fromEntries(
+  Object.entries(checks)
+    .filter(([field, isValid]) => source[field] != null && isValid(source[field]))
+    .map(([field]) => [field, source[field]])
+)
+
+const repositoryLine = (conversation) => [
+  conversation.workingDirectory,
+  conversation.repositoryRef && `@ ${formatRef(conversation.repositoryRef)}`
+].filter(Boolean).join(' ')
+
+// Longer than any backtick run in the content, so nothing closes the fence early
+const fence = (content) => {
+  const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length))
+  return '`'.repeat(longestRun + 1)
+}
+
+const messageDetails = (message) => {
+  const details = []
+  if (message.functionCalls?.length > 0) {
+    details.push(`Tool calls: ${message.functionCalls.map(call => toFunctionCallRecord(call).name).join(', ')}`)
+  }
+  if (message.iterations) details.push(`${message.iterations} iterations`)
+  if (message.tokenCount) {
+    details.push(`${message.tokenCount.prompt_tokens ?? '?'} prompt / ${message.tokenCount.response_tokens ?? '?'} response tokens`)
+  }
+  return details
+}
+
+export const conversationToJson = (conversation) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  conversation: {
+    ...Object.fromEntries(Object.keys(EXPORTED_FIELDS).map(field => [field, conversation[field]])),
+    messages: conversation.messages.map(toStoredMessage)
+  }
+}, null, 2)
+
+// AI replies are already Markdown and go in as is; prompts and attached
+// snippets are fenced so their formatting survives
+export const conversationToMarkdown = (conversation) => {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `- Repository: ${repositoryLine(conversation)}`,
+    `- Exported: ${new Date().toLocaleString()}`,
+    ''
+  ]
+
+  for (const message of conversation.messages) {
+    lines.push(`## ${SPEAKERS[message.type] || message.type}${message.timestamp ? ` · ${message.timestamp}` : ''}`, '')
+
+    if (message.type === 'ai') {
+      lines.push(message.content || '')
+    } else {
+      const content = message.content || ''
+      lines.push(fence(content), content, fence(content))
+    }
+
+    if (hasAttachments(message.attachments)) {
+      lines.push('')
+      message.attachments.files.forEach(path => lines.push(`📎 \`${path}\``))
+      message.attachments.snippets.forEach(snippet => {
+        lines.push(`📎 ${snippet.name}`, fence(snippet.content), snippet.content, fence(snippet.content))
+      })
+    }
+
+    const details = messageDetails(message)
+    if (details.length > 0) lines.push('', `_${details.join(' · ')}_`)
+    lines.push('')
+  }
+
+  return lines.join('\n')
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const HTML_STYLES = `
+  body { margin: 0; padding: 32px 16px; background: #0f172a; color: #e2e8f0; font: 14px/1.6 system-ui, sans-serif; }
+  main { max-width: 760px; margin: 0 auto; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  .meta { color: #94a3b8; font-size: 12px; margin-bottom: 24px; word-break: break-all; }
+  .message { border: 1px solid #334155; border-radius: 12px; padding: 12px 16px; margin-bottom: 12px; background: #1e293b; }
+  .message.user { background: #312e81; border-color: #4338ca; }
+  .message.system { background: #052e16; border-color: #166534; }
+  .message.error { background: #450a0a; border-color: #991b1b; }
+  .speaker { font-size: 12px; color: #94a3b8; margin-bottom: 6px; }
+  .plain { white-space: pre-wrap; margin: 0; font: inherit; }
+  .details { font-size: 12px; color: #94a3b8; margin-top: 8px; }
+  pre { background: #0d1117; border: 1px solid #334155; border-radius: 8px; padding: 12px; overflow-x: auto; font-size: 12px; }
+  code { font-family: ui-monospace, monospace; }
+  :not(pre) > code { background: #0f172a; border-radius: 4px; padding: 1px 4px; }
+  a { color: #93c5fd; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #334155; padding: 4px 8px; }
+  .hljs-keyword, .hljs-selector-tag, .hljs-type { color: #ff7b72; }
+  .hljs-string, .hljs-regexp, .hljs-attr { color: #a5d6ff; }
+  .hljs-title, .hljs-section { color: #d2a8ff; }
+  .hljs-number, .hljs-literal, .hljs-built_in, .hljs-variable { color: #79c0ff; }
+  .hljs-comment, .hljs-quote { color: #8b949e; font-style: italic; }
+  .hljs-addition { color: #aff5b4; background: #033a16; }
+  .hljs-deletion { color: #ffdcd7; background: #67060c; }
+`
+
+// Renders replies with the same Markdown pipeline as the chat, and inlines
+// the styles so the file opens anywhere without the app. react-dom/server is
+// only loaded when someone actually exports HTML.
+export const conversationToHtml = async (conversation) => {
+  const { renderToStaticMarkup } = await import('react-dom/server')
+  const renderMarkdown = (content) => renderToStaticMarkup(createElement(ReactMarkdown, {
+    remarkPlugins: [remarkGfm],
+    rehypePlugins: [[rehypeHighlight, { detect: true }]],
+    skipHtml: true
+  }, content || ''))
+
+  const messages = conversation.messages.map(message => {
+    const body = message.type === 'ai'
+      ? renderMarkdown(message.content)
+      : `<pre class="plain">${escapeHtml(message.content || '')}</pre>`
+    const attachments = hasAttachments(message.attachments)
+      ? [
+        ...message.attachments.files.map(path => `<div class="details">📎 <code>${escapeHtml(path)}</code></div>`),
+        ...message.attachments.snippets.map(snippet => `<div class="details">📎 ${escapeHtml(snippet.name)}</div><pre><code>${escapeHtml(snippet.content)}</code></pre>`)
+      ].join('')
+      : ''
+    const details = messageDetails(message)
+
+    return `<section class="message ${escapeHtml(message.type)}">
+  <div class="speaker">${SPEAKERS[message.type] || escapeHtml(message.type)}${message.timestamp ? ` · ${escapeHtml(message.timestamp)}` : ''}</div>
+  ${body}${attachments}
+  ${details.length > 0 ? `<div class="details">${escapeHtml(details.join(' · '))}</div>` : ''}
+</section>`
+  })
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(conversation.title)}</h1>
+<div class="meta">${escapeHtml(repositoryLine(conversation))} · exported ${escapeHtml(new Date().toLocaleString())}</div>
+${messages.join('\n')}
+</main>
+</body>
+</html>
+`
+}
+
+// Accepts files written by conversationToJson, or a bare conversation object.
+// Throws an Error with a user-facing message when the file can't be used.
+export const parseConversationImport = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON.')
+  }
+
+  if (data?.format === EXPORT_FORMAT && data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of Code Buddy.')
+  }
+
+  const source = data?.format === EXPORT_FORMAT ? data.conversation : data
+  const messages = source?.messages
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('The file does not contain a conversation.')
+  }
+
+  const invalid = messages.find(m => !m || !MESSAGE_TYPES.includes(m.type) || typeof m.content !== 'string' || m.id === undefined)
+  if (invalid) {
+    throw new Error('The file contains messages in an unknown format.')
+  }
+
+  const conversation = createConversation()
+  const imported = pickValidFields(source, EXPORTED_FIELDS)
+  if (imported.runSettings) {
+    imported.runSettings = { ...DEFAULT_RUN_SETTINGS, ...pickValidFields(imported.runSettings, RUN_SETTINGS_FIELDS) }
+  }
+
+  return {
+    ...conversation,
+    ...imported,
+    id: conversation.id,
+    updatedAt: Date.now(),
+    messages: messages.map(toStoredMessage)
+  }
+}
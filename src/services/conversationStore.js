@@ -0,0 +1,107 @@
+import { DEFAULT_CONTEXT_BUDGET } from './conversationContext'
+import { settleFunctionCalls, truncateStoredResult } from './functionCalls'
+import { settleApprovals } from './toolApprovals'
+import { settleCommands } from './commandRuns'
+import { DEFAULT_RUN_SETTINGS } from './runSettings'
+import { scopedKey } from './storageScope'
+
+const CONVERSATIONS_KEY = 'codebuddy.conversations'
+const ACTIVE_CONVERSATION_KEY = 'codebuddy.activeConversationId'
+const DRAFTS_KEY = 'codebuddy.drafts'
+
+export const DEFAULT_WORKING_DIRECTORY = 'https://github.com/microsoft/calculator'
+export const DEFAULT_CONVERSATION_TITLE = 'New conversation'
+
+export const createWelcomeMessage = () => ({
+  id: 1,
+  type: 'ai',
+  content: 'Hello! I\'m your AI Coding Buddy. I can analyze your codebase, understand project structure, and help with development tasks. Just provide a local directory path or Git repository URL!',
+  timestamp: new Date().toLocaleTimeString(),
+  isGreeting: true
+})
+
+export const createConversation = ({
+  workingDirectory = DEFAULT_WORKING_DIRECTORY,
+  repositoryType = 'git',
+  repositoryRef = null,
+  verbose = false,
+  runSettings = DEFAULT_RUN_SETTINGS
+} = {}) => {
+  const now = Date.now()
+  return {
+    id: `conv-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    title: DEFAULT_CONVERSATION_TITLE,
+    createdAt: now,
+    updatedAt: now,
+    workingDirectory,
+    repositoryType,
+    repositoryRef,
+    verbose,
+    contextBudget: DEFAULT_CONTEXT_BUDGET,
+    contextStartId: null,
+    runSettings,
+    messages: [createWelcomeMessage()]
+  }
+}
+
+// Streaming state only makes sense for the request that produced it, so it is
+// dropped on save and a reload never shows a half-finished reply as live
+export const toStoredMessage = (message) => {
+  const { streaming: _streaming, ...stored } = message
+  if (message.functionCalls) stored.functionCalls = settleFunctionCalls(message.functionCalls).map(truncateStoredResult)
+  if (message.approvals) stored.approvals = settleApprovals(message.approvals)
+  if (message.commands) stored.commands = settleCommands(message.commands)
+  return stored
+}
+
+export const loadConversations = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(CONVERSATIONS_KEY)))
+    return Array.isArray(stored) ? stored : []
+  } catch (error) {
+    console.error('Failed to load conversations:', error)
+    return []
+  }
+}
+
+// Returns false when the browser refuses the write, usually a full quota
+export const saveConversations = (conversations) => {
+  try {
+    const stored = conversations.map(conversation => ({
+      ...conversation,
+      messages: conversation.messages.map(toStoredMessage)
+    }))
+    localStorage.setItem(scopedKey(CONVERSATIONS_KEY), JSON.stringify(stored))
+    return true
+  } catch (error) {
+    console.error('Failed to save conversations:', error)
+    return false
+  }
+}
+
+export const loadActiveConversationId = () => localStorage.getItem(scopedKey(ACTIVE_CONVERSATION_KEY))
+
+export const saveActiveConversationId = (id) => {
+  localStorage.setItem(scopedKey(ACTIVE_CONVERSATION_KEY), id)
+}
+
+// Unsent composer text, keyed by conversation id. Kept apart from the
+// conversation records so typing doesn't bump `updatedAt`.
+export const loadDrafts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(scopedKey(DRAFTS_KEY))) || {}
+  } catch {
+    return {}
+  }
+}
+
+export const saveDrafts = (drafts) => {
+  const nonEmpty = Object.fromEntries(Object.entries(drafts).filter(([, text]) => text))
+  localStorage.setItem(scopedKey(DRAFTS_KEY), JSON.stringify(nonEmpty))
+}
+
+// Titles a fresh conversation after its first prompt
+export const titleFromPrompt = (prompt) => {
+  const firstLine = prompt.trim().split('\n')[0]
+  return firstLine.length > 40 ? `${firstLine.slice(0, 40)}…` : firstLine
+}
@@ -0,0 +1,97 @@
+// Personal access tokens for private repositories, keyed by host. Tokens live
+// in memory, and in sessionStorage when the user asks to keep them until the
+// tab closes. They are never written to localStorage, so conversations,
+// exports and recent repositories can't leak them.
+const CREDENTIALS_KEY = 'codebuddy.credentials'
+
+// `error_code` values the backend uses when a repository host refuses access
+export const REPOSITORY_AUTH_CODES = ['auth_required', 'auth_failed', 'token_expired']
+
+const loadSessionCredentials = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(CREDENTIALS_KEY))
+    return stored && typeof stored === 'object' ? stored : {}
+  } catch {
+    return {}
+  }
+}
+
+let credentials = loadSessionCredentials()
+const listeners = new Set()
+
+const commit = (next) => {
+  credentials = next
+  const remembered = Object.fromEntries(Object.entries(next).filter(([, credential]) => credential.remember))
+  try {
+    if (Object.keys(remembered).length > 0) sessionStorage.setItem(CREDENTIALS_KEY, JSON.stringify(remembered))
+    else sessionStorage.removeItem(CREDENTIALS_KEY)
+  } catch (error) {
+    console.error('Failed to save credentials:', error)
+  }
+  listeners.forEach(listener => listener())
+}
+
+// For useSyncExternalStore
+export const subscribeCredentials = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const getCredentials = () => credentials
+
+// Accepts http(s) URLs, scp-style `git@host:owner/repo` and bare host names;
+// local paths have no host
+export const repositoryHost = (url) => {
+  const value = (url || '').trim()
+  const scp = value.match(/^[\w.-]+@([\w.-]+):/)
+  if (scp) return scp[1].toLowerCase()
+  if (/^[\w.-]+$/.test(value)) return value.toLowerCase()
+  if (!/^https?:\/\//i.test(value)) return null
+  try {
+    return new URL(value).hostname.toLowerCase() || null
+  } catch {
+    return null
+  }
+}
+
+export const findCredential = (url) => {
+  const host = repositoryHost(url)
+  return host ? credentials[host] ?? null : null
+}
+
+export const saveCredential = ({ host, token, username = '', remember = false }) => {
+  const key = repositoryHost(host)
+  if (!key || !token.trim()) return
+  commit({
+    ...credentials,
+    [key]: { host: key, token: token.trim(), username: username.trim(), remember, addedAt: Date.now() }
+  })
+}
+
+export const forgetCredential = (host) => {
+  const { [host]: _removed, ...rest } = credentials
+  commit(rest)
+}
+
+// Called on sign-out so the next person to use the browser can't reuse them
+export const forgetAllCredentials = () => commit({})
+
+export const maskToken = (token) => token.length <= 8 ? '••••' : `${token.slice(0, 4)}••••${token.slice(-4)}`
+
+// `source` is a ValidationError or a `{ valid: false, status, code }` result
+export const isRepositoryAuthFailure = (source) => {
+  const code = source?.code ?? source?.data?.error_code
+  return REPOSITORY_AUTH_CODES.includes(code) || source?.status === 403
+}
+
+export const describeRepositoryAuthFailure = (source, host) => {
+  const code = source?.code ?? source?.data?.error_code
+  const target = host || 'the repository host'
+  if (code === 'token_expired') {
+    return `The access token for ${target} has expired. Add a new one to keep working with this repository.`
+  }
+  if (host && credentials[host]) {
+    return `${target} rejected the saved access token. Check that it is still valid and has read access to this repository.`
+  }
+  return `${target} requires an access token for this repository.`
+}
@@ -0,0 +1,18 @@
+// Saves a Blob or string as a file through a temporary object URL
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// "https://github.com/microsoft/calculator.git" -> "calculator"
+export const repositorySlug = (workingDirectory) => {
+  const name = (workingDirectory || '').replace(/[\\/]+$/, '').split(/[\\/]/).pop().replace(/\.git$/, '')
+  return name.replace(/[^\w.-]+/g, '-') || 'repository'
+}
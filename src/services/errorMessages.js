@@ -0,0 +1,28 @@
+import { getApiBaseUrl } from './backendConfig'
+import { NetworkError, TimeoutError, ServerError, ValidationError, AuthError } from './httpClient'
+import { isRepositoryAuthFailure, describeRepositoryAuthFailure } from './credentials'
+
+// User-facing wording for the typed errors thrown by the API layer
+export const describeError = (error) => {
+  if (error instanceof TimeoutError) {
+    return 'The backend took too long to respond. Try again, or narrow the request.'
+  }
+  if (error instanceof NetworkError) {
+    return `Can't reach the backend at ${getApiBaseUrl()}. Check your connection or the backend settings.`
+  }
+  if (error instanceof ServerError) {
+    return error.isHtml
+      ? 'The backend answered with a web page instead of data. It may still be starting up, so try again in a moment.'
+      : `The backend ran into a problem${error.status ? ` (HTTP ${error.status})` : ''}: ${error.message}`
+  }
+  if (error instanceof AuthError) {
+    return 'You have been signed out. Sign in again to continue.'
+  }
+  if (error instanceof ValidationError && isRepositoryAuthFailure(error)) {
+    return `${describeRepositoryAuthFailure(error, error.data?.host)} Manage tokens under Settings → Repository credentials.`
+  }
+  if (error instanceof ValidationError) {
+    return `The backend rejected the request: ${error.message}`
+  }
+  return error.message
+}
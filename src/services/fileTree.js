@@ -0,0 +1,110 @@
+const FILE_ICONS = {
+  py: '🐍',
+  js: '📜', jsx: '📜', ts: '📜', tsx: '📜', mjs: '📜', cjs: '📜',
+  java: '☕', kt: '☕',
+  c: '⚙️', h: '⚙️', cpp: '⚙️', hpp: '⚙️', cs: '⚙️', go: '⚙️', rs: '⚙️',
+  json: '🧾', yml: '🧾', yaml: '🧾', toml: '🧾', xml: '🧾',
+  md: '📝', txt: '📝', rst: '📝',
+  css: '🎨', scss: '🎨', less: '🎨',
+  html: '🌐', htm: '🌐',
+  png: '🖼️', jpg: '🖼️', jpeg: '🖼️', gif: '🖼️', svg: '🖼️', ico: '🖼️',
+  sh: '💻', bat: '💻', ps1: '💻'
+}
+
+// Argument names the backend's file tools use for the path they operate on
+export const PATH_ARGUMENT_KEYS = ['file_path', 'filepath', 'path', 'filename', 'file']
+
+export const getExtension = (name) => {
+  const dot = name.lastIndexOf('.')
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : ''
+}
+
+export const getFileIcon = (name) => FILE_ICONS[getExtension(name)] || '📄'
+
+export const normalizePath = (path) => path.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '').replace(/\/+$/, '')
+
+// Turns the backend's flat `[{ path, type }]` listing into nested nodes,
+// directories first and each level sorted by name
+export const buildFileTree = (entries) => {
+  const root = { name: '', path: '', type: 'dir', children: [] }
+  const directories = new Map([['', root]])
+
+  const ensureDirectory = (path) => {
+    if (directories.has(path)) return directories.get(path)
+    const slash = path.lastIndexOf('/')
+    const parent = ensureDirectory(slash === -1 ? '' : path.slice(0, slash))
+    const node = { name: path.slice(slash + 1), path, type: 'dir', children: [] }
+    parent.children.push(node)
+    directories.set(path, node)
+    return node
+  }
+
+  for (const entry of entries) {
+    const path = normalizePath(entry.path)
+    if (!path) continue
+    if (entry.type === 'dir') {
+      ensureDirectory(path)
+      continue
+    }
+    const slash = path.lastIndexOf('/')
+    const parent = ensureDirectory(slash === -1 ? '' : path.slice(0, slash))
+    parent.children.push({ name: path.slice(slash + 1), path, type: 'file', size: entry.size })
+  }
+
+  const sortChildren = (node) => {
+    node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1))
+    node.children.filter(child => child.type === 'dir').forEach(sortChildren)
+  }
+  sortChildren(root)
+
+  return root
+}
+
+// Keeps files whose name contains `query` and whose extension matches, plus
+// the directories leading to them. Returns null when nothing matches.
+export const filterFileTree = (node, { query = '', extension = '' }) => {
+  if (node.type === 'file') {
+    const nameMatches = !query || node.name.toLowerCase().includes(query.toLowerCase())
+    const extensionMatches = !extension || getExtension(node.name) === extension
+    return nameMatches && extensionMatches ? node : null
+  }
+
+  const children = node.children
+    .map(child => filterFileTree(child, { query, extension }))
+    .filter(Boolean)
+
+  return children.length > 0 || node.path === '' ? { ...node, children } : null
+}
+
+export const collectExtensions = (entries) => [...new Set(
+  entries.filter(entry => entry.type !== 'dir').map(entry => getExtension(entry.path)).filter(Boolean)
+)].sort()
+
+// Backends send tool arguments either as an object or as a JSON string
+export const parseArgs = (args) => {
+  if (typeof args !== 'string') return args || {}
+  try {
+    const parsed = JSON.parse(args)
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+// Paths the agent read or wrote, pulled from function-call arguments
+export const extractTouchedFiles = (functionCalls = []) => {
+  const paths = new Set()
+  for (const call of functionCalls) {
+    const args = parseArgs(call?.args || call?.arguments)
+    for (const key of PATH_ARGUMENT_KEYS) {
+      if (typeof args[key] === 'string' && args[key]) paths.add(normalizePath(args[key]))
+    }
+  }
+  return [...paths]
+}
+
+// Tool arguments may be relative to the repository root or to some parent
+// directory, so a suffix match on whole path segments is close enough
+export const isTouchedPath = (path, touchedFiles) => touchedFiles.some(touched =>
+  touched === path || touched.endsWith(`/${path}`) || path.endsWith(`/${touched}`)
+)
@@ -0,0 +1,79 @@
+// The backend has reported calls as `{ name, args, result }` and as
+// `{ name, arguments, response }`; older saved messages only kept the name
+export const toFunctionCallRecord = (call) => {
+  if (typeof call === 'string') return { name: call, status: 'done' }
+
+  return {
+    id: call.id ?? null,
+    name: call.name,
+    args: call.args ?? call.arguments ?? null,
+    result: call.result ?? call.response ?? call.output ?? null,
+    durationMs: call.duration_ms ?? call.durationMs ?? null,
+    iteration: call.iteration ?? null,
+    status: call.status || 'done',
+    resultLength: call.resultLength ?? null
+  }
+}
+
+export const startFunctionCall = (records, event) => [
+  ...records,
+  { ...toFunctionCallRecord(event), status: 'running', startedAt: Date.now() }
+]
+
+// Matches the end event to its start by id, falling back to the oldest
+// running call with the same name
+export const finishFunctionCall = (records, event) => {
+  const index = records.findIndex(r => r.status === 'running' && (event.id ? r.id === event.id : r.name === event.name))
+  const finished = toFunctionCallRecord(event)
+
+  if (index === -1) return [...records, finished]
+
+  const started = records[index]
+  return records.map((record, i) => i === index ? {
+    ...started,
+    result: finished.result,
+    iteration: finished.iteration ?? started.iteration,
+    durationMs: finished.durationMs ?? Date.now() - started.startedAt,
+    status: 'done'
+  } : record)
+}
+
+// The final response is authoritative, but durations measured while
+// streaming are kept when the backend doesn't report its own
+export const mergeFunctionCalls = (streamed, final = []) => final.map((call, i) => {
+  const record = toFunctionCallRecord(call)
+  return {
+    ...record,
+    durationMs: record.durationMs ?? streamed[i]?.durationMs ?? null,
+    iteration: record.iteration ?? streamed[i]?.iteration ?? null
+  }
+})
+
+// Calls still running when a request stops will never finish
+export const settleFunctionCalls = (records = []) => records.map(r =>
+  r.status === 'running' ? { ...r, status: 'cancelled' } : r
+)
+
+// Tools like read_file return whole files. Saved conversations keep the start
+// of a long result and its original length, like command output in
+// commandRuns.js, so they stay inside the localStorage quota.
+const MAX_STORED_RESULT_CHARS = 4000
+
+export const truncateStoredResult = (call) => {
+  if (typeof call === 'string' || call.result === null || call.result === undefined) return call
+  const text = typeof call.result === 'string' ? call.result : JSON.stringify(call.result)
+  if (text.length <= MAX_STORED_RESULT_CHARS) return call
+  return { ...call, result: text.slice(0, MAX_STORED_RESULT_CHARS), resultLength: text.length }
+}
+
+export const formatJson = (value) => {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2)
+    } catch {
+      return value
+    }
+  }
+  return JSON.stringify(value, null, 2)
+}
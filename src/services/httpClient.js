@@ -0,0 +1,196 @@
+import { getApiBaseUrl } from './backendConfig'
+import { REPOSITORY_AUTH_CODES } from './credentials'
+
+const DEFAULT_TIMEOUT_MS = 30000
+const DEFAULT_RETRY_DELAY_MS = 500
+const RETRYABLE_STATUSES = [502, 503, 504]
+
+export class ApiError extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'ApiError'
+    Object.assign(this, details)
+  }
+}
+
+// The backend could not be reached at all (DNS, CORS, offline, refused)
+export class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'NetworkError'
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'TimeoutError'
+  }
+}
+
+// 5xx responses, and anything that isn't the JSON we asked for (e.g. the HTML
+// page Render serves while a sleeping instance boots)
+export class ServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'ServerError'
+  }
+}
+
+// 4xx responses: the backend understood the request and rejected its input
+export class ValidationError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'ValidationError'
+  }
+}
+
+// 401 responses: the session is missing, expired or revoked
+export class AuthError extends ValidationError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'AuthError'
+  }
+}
+
+// Set by the auth session (see auth.js) so this module doesn't import it:
+// `{ getAccessToken, refresh, onUnauthorized }`
+let authProvider = null
+
+export const setAuthProvider = (provider) => {
+  authProvider = provider
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const isRetryable = (error) => error instanceof NetworkError
+  || error instanceof TimeoutError
+  || (error instanceof ServerError && RETRYABLE_STATUSES.includes(error.status))
+
+export const toHttpError = (response, data = null) => {
+  const message = data?.error || data?.message || `HTTP error! status: ${response.status}`
+  const details = { status: response.status, data }
+  return response.status < 500
+    ? new ValidationError(message, details)
+    : new ServerError(message, details)
+}
+
+// Parses a JSON body and turns error statuses into typed errors
+export const readJson = async (response) => {
+  const contentType = response.headers.get('Content-Type') || ''
+
+  if (!contentType.includes('application/json')) {
+    const text = await response.text()
+    throw new ServerError(`Unexpected ${contentType.split(';')[0] || 'non-JSON'} response from server (status ${response.status})`, {
+      status: response.status,
+      isHtml: /<html|<!doctype/i.test(text)
+    })
+  }
+
+  let data
+  try {
+    data = await response.json()
+  } catch {
+    throw new ServerError(`Malformed JSON response from server (status ${response.status})`, { status: response.status })
+  }
+
+  if (!response.ok) throw toHttpError(response, data)
+  return data
+}
+
+// Runs one fetch with a timeout, keeping the caller's abort signal linked for
+// as long as the response body is being read
+const execute = async (path, options, handleResponse, accessToken) => {
+  const {
+    method = 'GET',
+    body,
+    headers: extraHeaders = {},
+    timeout = DEFAULT_TIMEOUT_MS,
+    signal,
+    baseUrl = getApiBaseUrl()
+  } = options
+
+  const controller = new AbortController()
+  let timedOut = false
+  if (signal?.aborted) controller.abort()
+  signal?.addEventListener('abort', () => controller.abort(), { once: true })
+  const timer = timeout ? setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout) : null
+  const headers = accessToken ? { Authorization: `Bearer ${accessToken}`, ...extraHeaders } : extraHeaders
+
+  try {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      signal: controller.signal,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    // A repository host refusing its access token is not the session ending;
+    // that answer is handed on as a plain ValidationError
+    if (response.status === 401 && options.auth !== false) {
+      const data = await response.clone().json().catch(() => null)
+      if (!REPOSITORY_AUTH_CODES.includes(data?.error_code)) {
+        throw new AuthError(data?.error || data?.message || 'Not signed in', { status: 401, data })
+      }
+    }
+    return await handleResponse(response)
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    if (timedOut) throw new TimeoutError(`Request timed out after ${timeout / 1000}s`, { timeout })
+    if (error.name === 'AbortError') throw error
+    throw new NetworkError(`Could not reach the backend: ${error.message}`, { cause: error })
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+const withRetry = async (attempt, { retries = 0, retryDelay = DEFAULT_RETRY_DELAY_MS }) => {
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt()
+    } catch (error) {
+      if (!isRetryable(error) || tries >= retries) throw error
+      await sleep(retryDelay * 2 ** tries)
+    }
+  }
+}
+
+// Sends the session's bearer token. A 401 gets one refresh and retry; if that
+// fails too the session is over and the user is signed out.
+const withAuth = async (attempt, { auth = true }) => {
+  if (!auth || !authProvider) return attempt(null)
+
+  const accessToken = await authProvider.getAccessToken()
+  try {
+    return await attempt(accessToken)
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error
+    const refreshedToken = accessToken ? await authProvider.refresh() : null
+    if (refreshedToken) {
+      try {
+        return await attempt(refreshedToken)
+      } catch (retryError) {
+        if (!(retryError instanceof AuthError)) throw retryError
+      }
+    }
+    authProvider.onUnauthorized()
+    throw error
+  }
+}
+
+// JSON request against the active backend. Only pass `retries` for idempotent
+// calls; the delay doubles after every failed attempt. `auth: false` leaves
+// the bearer token off, for the sign-in calls themselves.
+export const request = (path, options = {}) => withAuth(
+  (accessToken) => withRetry(() => execute(path, options, readJson, accessToken), options),
+  options
+)
+
+// Same as request, but hands back the raw Response once headers arrive so the
+// body can be streamed. The timeout only covers the wait for those headers.
+export const send = (path, options = {}) => withAuth(
+  (accessToken) => withRetry(() => execute(path, options, (response) => response, accessToken), options),
+  options
+)
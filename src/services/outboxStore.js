@@ -0,0 +1,36 @@
+import { scopedKey } from './storageScope'
+
+const OUTBOX_KEY = 'codebuddy.outbox'
+
+// Prompts submitted while the backend was unreachable, oldest first
+export const createOutboxItem = ({ conversationId, prompt, attachments }) => ({
+  id: `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  conversationId,
+  prompt,
+  attachments,
+  createdAt: Date.now()
+})
+
+export const loadOutbox = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(OUTBOX_KEY)))
+    return Array.isArray(stored) ? stored : []
+  } catch (error) {
+    console.error('Failed to load outbox:', error)
+    return []
+  }
+}
+
+// `editing` is UI state; a reload shouldn't leave a prompt held forever
+const toStoredItem = (item) => {
+  const { editing: _editing, ...stored } = item
+  return stored
+}
+
+export const saveOutbox = (items) => {
+  try {
+    localStorage.setItem(scopedKey(OUTBOX_KEY), JSON.stringify(items.map(toStoredItem)))
+  } catch (error) {
+    console.error('Failed to save outbox:', error)
+  }
+}
@@ -0,0 +1,21 @@
+import { scopedKey } from './storageScope'
+
+const HISTORY_KEY = 'codebuddy.promptHistory'
+const MAX_HISTORY = 50
+
+// Newest first, shared across conversations
+export const loadPromptHistory = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(HISTORY_KEY)))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export const savePromptHistory = (history) => {
+  localStorage.setItem(scopedKey(HISTORY_KEY), JSON.stringify(history))
+}
+
+export const addPromptToHistory = (history, prompt) =>
+  [prompt, ...history.filter(p => p !== prompt)].slice(0, MAX_HISTORY)
@@ -0,0 +1,64 @@
+import { scopedKey } from './storageScope'
+
+const TEMPLATES_KEY = 'codebuddy.promptTemplates'
+const TEMPLATES_FORMAT = 'codebuddy.templates'
+
+// Template names become slash commands, so they follow the same rules
+export const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/
+
+export const createTemplate = ({ name = '', description = '', body = '' } = {}) => ({
+  id: `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  description,
+  body
+})
+
+export const loadTemplates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(TEMPLATES_KEY)))
+    return Array.isArray(stored) ? stored : []
+  } catch (error) {
+    console.error('Failed to load prompt templates:', error)
+    return []
+  }
+}
+
+export const saveTemplates = (templates) => {
+  try {
+    localStorage.setItem(scopedKey(TEMPLATES_KEY), JSON.stringify(templates))
+  } catch (error) {
+    console.error('Failed to save prompt templates:', error)
+  }
+}
+
+export const templatesToJson = (templates) => JSON.stringify({
+  format: TEMPLATES_FORMAT,
+  templates: templates.map(({ name, description, body }) => ({ name, description, body }))
+}, null, 2)
+
+// Accepts files written by templatesToJson or a bare array of templates.
+// Imported templates replace existing ones with the same name.
+export const mergeImportedTemplates = (existing, text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON.')
+  }
+
+  const imported = Array.isArray(data) ? data : data?.templates
+  if (!Array.isArray(imported)) {
+    throw new Error('The file does not contain prompt templates.')
+  }
+
+  const invalid = imported.find(t => !TEMPLATE_NAME_PATTERN.test(t?.name) || typeof t.body !== 'string' || !t.body.trim())
+  if (invalid) {
+    throw new Error(`"${invalid?.name ?? 'unnamed'}" is not a valid template: names use lowercase letters, digits and dashes, and the body can't be empty.`)
+  }
+
+  const importedNames = new Set(imported.map(t => t.name))
+  return [
+    ...existing.filter(t => !importedNames.has(t.name)),
+    ...imported.map(t => createTemplate({ name: t.name, description: t.description || '', body: t.body }))
+  ]
+}
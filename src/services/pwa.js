@@ -0,0 +1,37 @@
+const SERVICE_WORKER_URL = '/sw.js'
+// Installed apps can stay open for days, so look for new builds periodically
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000
+
+// Registers the service worker in production builds and calls
+// `onUpdateReady(worker)` when a new build has been installed and is waiting
+// to take over. Returns a cleanup function.
+export const registerServiceWorker = (onUpdateReady) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {}
+
+  let interval
+  navigator.serviceWorker.register(SERVICE_WORKER_URL)
+    .then(registration => {
+      // Without a controller this is the first install, not an update
+      const notifyIfWaiting = () => {
+        if (registration.waiting && navigator.serviceWorker.controller) onUpdateReady(registration.waiting)
+      }
+
+      notifyIfWaiting()
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed') notifyIfWaiting()
+        })
+      })
+      interval = setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL_MS)
+    })
+    .catch(error => console.error('Service worker registration failed:', error))
+
+  return () => clearInterval(interval)
+}
+
+// Lets the waiting worker take over and reloads once it controls the page
+export const activateUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true })
+  worker.postMessage({ type: 'SKIP_WAITING' })
+}
@@ -0,0 +1,33 @@
+import { scopedKey } from './storageScope'
+
+const RECENT_REPOSITORIES_KEY = 'codebuddy.recentRepositories'
+const MAX_RECENT_REPOSITORIES = 8
+
+export const REF_TYPES = ['branch', 'tag', 'commit']
+
+// Only used to guess which picker tab to open for paths saved before the
+// repository type was stored alongside them
+export const looksLikeGitUrl = (path) => /^(https?:\/\/|git@)/.test(path) || path.endsWith('.git')
+
+export const formatRef = (ref) => ref ? `${ref.type} ${ref.name}` : ''
+
+export const loadRecentRepositories = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(RECENT_REPOSITORIES_KEY)))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+// Moves the repository to the top of the list, keyed by type + path + ref
+export const addRecentRepository = ({ type, path, ref = null }) => {
+  const key = `${type}:${path}:${formatRef(ref)}`
+  const recents = [
+    { type, path, ref, usedAt: Date.now() },
+    ...loadRecentRepositories().filter(r => `${r.type}:${r.path}:${formatRef(r.ref)}` !== key)
+  ].slice(0, MAX_RECENT_REPOSITORIES)
+
+  localStorage.setItem(scopedKey(RECENT_REPOSITORIES_KEY), JSON.stringify(recents))
+  return recents
+}
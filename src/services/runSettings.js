@@ -0,0 +1,58 @@
+import { toFunctionCallRecord } from './functionCalls'
+
+// Per-conversation agent settings sent with each /chat request. Empty values
+// leave the choice to the backend.
+export const DEFAULT_RUN_SETTINGS = {
+  model: '',
+  maxIterations: null,
+  temperature: null,
+  // null means every tool is allowed; an array restricts the agent to it
+  allowedTools: null
+}
+
+export const MAX_ITERATIONS_LIMIT = 50
+
+// Tools the backend is expected to expose; tools seen in replies are added
+export const KNOWN_TOOLS = [
+  'read_file',
+  'list_files',
+  'search_code',
+  'write_file',
+  'create_file',
+  'delete_file',
+  'run_command',
+  'execute_code'
+]
+
+export const getRunSettings = (conversation) => ({ ...DEFAULT_RUN_SETTINGS, ...conversation.runSettings })
+
+// What a reply was produced with: the settings that were sent, with the model
+// the backend reports taking precedence over the one asked for
+export const effectiveRunSettings = (settings, response = {}) => ({
+  model: response.model || settings.model || null,
+  maxIterations: settings.maxIterations,
+  temperature: settings.temperature,
+  allowedTools: settings.allowedTools
+})
+
+export const describeRunSettings = (settings) => {
+  const parts = []
+  if (settings.model) parts.push(settings.model)
+  if (settings.maxIterations != null) parts.push(`max ${settings.maxIterations} iterations`)
+  if (settings.temperature != null) parts.push(`temperature ${settings.temperature}`)
+  if (settings.allowedTools) {
+    parts.push(settings.allowedTools.length === 0 ? 'no tools' : `tools: ${settings.allowedTools.join(', ')}`)
+  }
+  return parts
+}
+
+// Known tools plus any the agent has called in this conversation
+export const collectToolNames = (messages) => [...new Set([
+  ...KNOWN_TOOLS,
+  ...messages.flatMap(m => (m.functionCalls || []).filter(Boolean).map(call => toFunctionCallRecord(call).name).filter(Boolean))
+])]
+
+export const collectModelNames = (messages, pricing = []) => [...new Set([
+  ...pricing.map(entry => entry.model),
+  ...messages.map(m => m.model)
+].filter(model => model && model !== 'default'))]
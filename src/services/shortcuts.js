@@ -0,0 +1,35 @@
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform)
+
+// Alt shortcuts match on `code`, since macOS turns Option+letter into a symbol
+export const SHORTCUTS = [
+  {
+    id: 'newChat',
+    keys: isMac ? '⌥N' : 'Alt+N',
+    description: 'New chat',
+    matches: e => e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyN'
+  },
+  {
+    id: 'focusInput',
+    keys: isMac ? '⌘K' : 'Ctrl+K',
+    description: 'Focus the message box',
+    matches: e => (isMac ? e.metaKey : e.ctrlKey) && !e.altKey && e.key.toLowerCase() === 'k'
+  },
+  {
+    id: 'toggleVerbose',
+    keys: isMac ? '⌥V' : 'Alt+V',
+    description: 'Toggle verbose mode',
+    matches: e => e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyV'
+  },
+  {
+    id: 'changeRepository',
+    keys: isMac ? '⌥R' : 'Alt+R',
+    description: 'Change repository',
+    matches: e => e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyR'
+  }
+]
+
+export const COMPOSER_SHORTCUTS = [
+  { keys: 'Enter', description: 'Send' },
+  { keys: 'Shift+Enter', description: 'New line' },
+  { keys: '↑ / ↓', description: 'Previous / next sent prompt' }
+]
@@ -0,0 +1,122 @@
+import { looksLikeGitUrl } from './repositoryStore'
+import { TEMPLATE_NAME_PATTERN } from './promptTemplates'
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(file|selection)\s*\}\}/g
+const FILE_PLACEHOLDER_PATTERN = /\{\{\s*file\s*\}\}/
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i
+
+// Prompt commands expand a template; action commands are handled by the app
+export const BUILT_IN_COMMANDS = [
+  {
+    name: 'explain',
+    usage: '/explain <file>',
+    description: 'Explain what a file or module does',
+    template: 'Explain what {{file}} does, how it fits into the rest of the project, and anything non-obvious about how it works.'
+  },
+  {
+    name: 'tests',
+    usage: '/tests <file>',
+    description: 'Write unit tests',
+    template: 'Write unit tests for {{file}}. Follow the testing framework and conventions already used in this repository, and cover edge cases and error paths.'
+  },
+  {
+    name: 'review',
+    usage: '/review <file>',
+    description: 'Review code for bugs and style issues',
+    template: 'Review {{file}} like a senior engineer would in a pull request: point out bugs, risky edge cases, performance problems and unclear code, and suggest concrete fixes.'
+  },
+  {
+    name: 'summarize-repo',
+    usage: '/summarize-repo',
+    description: 'Summarize the repository structure',
+    template: 'Summarize this repository: its purpose, main modules and how they depend on each other, the tech stack, and where a new contributor should start reading.'
+  },
+  {
+    name: 'clear',
+    usage: '/clear',
+    description: 'Clear the messages in this conversation',
+    action: 'clear'
+  },
+  {
+    name: 'repo',
+    usage: '/repo <url or path> [ref]',
+    description: 'Connect a different repository',
+    action: 'repo'
+  }
+]
+
+// Built-ins first; a user template can't shadow a built-in name, and ones
+// still being written in settings are left out
+export const getCommands = (templates) => [
+  ...BUILT_IN_COMMANDS,
+  ...templates
+    .filter(t => TEMPLATE_NAME_PATTERN.test(t.name) && t.body.trim())
+    .filter(t => !BUILT_IN_COMMANDS.some(c => c.name === t.name))
+    .map(t => ({
+      name: t.name,
+      usage: `/${t.name}${FILE_PLACEHOLDER_PATTERN.test(t.body) ? ' <file>' : ''}`,
+      description: t.description || 'Custom template',
+      template: t.body,
+      custom: true
+    }))
+]
+
+// The command being typed, while the caret is still in its name
+export const findSlashQuery = (text, caret) => {
+  const match = /^\/([a-z0-9-]*)$/i.exec(text.slice(0, caret))
+  return match ? { query: match[1].toLowerCase() } : null
+}
+
+export const suggestCommands = (commands, query) => commands
+  .filter(command => command.name.startsWith(query))
+  .concat(commands.filter(command => !command.name.startsWith(query) && command.name.includes(query)))
+
+export const parseSlashCommand = (text) => {
+  const match = /^\/([a-z0-9-]+)(?:\s+([\s\S]*))?$/i.exec(text.trim())
+  return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null
+}
+
+// {{file}} is the command argument or the @-attached files; {{selection}} is
+// the pasted snippets
+export const expandTemplate = (template, { args, attachments }) => {
+  const file = args || attachments.files.join(', ')
+  const selection = attachments.snippets
+    .map(snippet => `\`\`\`\n${snippet.content}\n\`\`\``)
+    .join('\n\n')
+  const values = { file, selection }
+
+  const missing = [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .map(([, name]) => name)
+    .filter(name => !values[name])
+  if (missing.length > 0) return { missing: [...new Set(missing)] }
+
+  return { prompt: template.replace(PLACEHOLDER_PATTERN, (_, name) => values[name]) }
+}
+
+// `/repo <url or path> [ref]`: a hex ref is taken as a commit, anything else as a branch
+export const parseRepoArgs = (args) => {
+  const [path, refName] = args.split(/\s+/)
+  if (!path) return null
+  return {
+    type: looksLikeGitUrl(path) ? 'git' : 'local',
+    path,
+    ref: refName ? { type: COMMIT_SHA_PATTERN.test(refName) ? 'commit' : 'branch', name: refName } : null
+  }
+}
+
+// Works out what the input should do: `{ prompt }` to send, `{ action, args }`
+// for the app to run, or `{ error }` to show. Returns null for plain prompts.
+export const resolveSlashCommand = (text, commands, attachments) => {
+  const parsed = parseSlashCommand(text)
+  if (!parsed) return null
+
+  const command = commands.find(c => c.name === parsed.name)
+  if (!command) return { error: `Unknown command /${parsed.name}. Type / to see the available commands.` }
+  if (command.action) return { action: command.action, args: parsed.args }
+
+  const { prompt, missing } = expandTemplate(command.template, { args: parsed.args, attachments })
+  if (missing) {
+    return { error: `/${command.name} needs ${missing.map(name => (name === 'file' ? 'a file (type it after the command or attach one with @)' : 'a pasted snippet')).join(' and ')}. Usage: ${command.usage}` }
+  }
+  return { prompt }
+}
@@ -0,0 +1,10 @@
+// localStorage keys for conversations and settings are suffixed with the
+// signed-in user's id, so people sharing a browser each get their own data.
+// Guests keep the unsuffixed keys used before sign-in existed.
+let scope = null
+
+export const setStorageScope = (userId) => {
+  scope = userId == null ? null : String(userId)
+}
+
+export const scopedKey = (key) => (scope ? `${key}:${scope}` : key)
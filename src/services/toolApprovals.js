@@ -0,0 +1,61 @@
+import { scopedKey } from './storageScope'
+
+const TOOL_APPROVAL_KEY = 'codebuddy.toolApproval'
+
+export const TOOL_POLICIES = {
+  ask: 'Ask',
+  allow: 'Always allow',
+  deny: 'Always deny'
+}
+
+// Write, delete and shell tools the backend is expected to expose
+export const DEFAULT_TOOL_APPROVAL_SETTINGS = {
+  enabled: false,
+  policies: {
+    write_file: 'ask',
+    create_file: 'ask',
+    delete_file: 'ask',
+    run_command: 'ask',
+    execute_code: 'ask'
+  }
+}
+
+export const getToolApprovalSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(TOOL_APPROVAL_KEY)))
+    return stored ? { ...DEFAULT_TOOL_APPROVAL_SETTINGS, ...stored } : DEFAULT_TOOL_APPROVAL_SETTINGS
+  } catch {
+    return DEFAULT_TOOL_APPROVAL_SETTINGS
+  }
+}
+
+export const setToolApprovalSettings = (settings) => {
+  localStorage.setItem(scopedKey(TOOL_APPROVAL_KEY), JSON.stringify(settings))
+}
+
+// Policies sent with a request. Tools allowed "for this session" override
+// the saved policy until the page is reloaded.
+export const buildToolPolicies = (settings, sessionAllowed) => ({
+  ...settings.policies,
+  ...Object.fromEntries([...sessionAllowed].map(name => [name, 'allow']))
+})
+
+// `approvals` live on the AI message: { id, name, args, status }, where
+// status is pending, approved, denied or expired
+export const startApproval = (approvals = [], event) => [
+  ...approvals,
+  {
+    id: event.approval_id ?? event.id,
+    name: event.name,
+    args: event.args ?? event.arguments ?? {},
+    status: 'pending'
+  }
+]
+
+export const resolveApproval = (approvals = [], id, status) =>
+  approvals.map(approval => (approval.id === id ? { ...approval, status } : approval))
+
+// Once the run is over nobody is waiting for an answer any more
+export const settleApprovals = (approvals = []) => approvals.map(approval =>
+  approval.status === 'pending' ? { ...approval, status: 'expired' } : approval
+)
@@ -0,0 +1,35 @@
+import { scopedKey } from './storageScope'
+
+const USAGE_SETTINGS_KEY = 'codebuddy.usageSettings'
+
+// Prices are USD per million tokens. Replies that don't name their model are
+// priced with the `default` entry.
+export const DEFAULT_MODEL = 'default'
+
+export const DEFAULT_USAGE_SETTINGS = {
+  pricing: [
+    { model: DEFAULT_MODEL, input: 3, output: 15 }
+  ],
+  // Token budgets; 0 turns the warning off
+  requestBudget: 20000,
+  sessionBudget: 200000
+}
+
+export const getUsageSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(USAGE_SETTINGS_KEY)))
+    return stored ? { ...DEFAULT_USAGE_SETTINGS, ...stored } : DEFAULT_USAGE_SETTINGS
+  } catch {
+    return DEFAULT_USAGE_SETTINGS
+  }
+}
+
+export const setUsageSettings = (settings) => {
+  localStorage.setItem(scopedKey(USAGE_SETTINGS_KEY), JSON.stringify(settings))
+}
+
+export const findModelPricing = (pricing, model) =>
+  pricing.find(entry => entry.model === model)
+  || pricing.find(entry => entry.model === DEFAULT_MODEL)
+  || pricing[0]
+  || { input: 0, output: 0 }
@@ -0,0 +1,104 @@
+import { findModelPricing, DEFAULT_MODEL } from './usageSettings'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Reply ids are Date.now() based, which dates replies recorded before
+// `completedAt` was stored
+const messageTime = (message, conversation) => message.completedAt
+  ?? (typeof message.id === 'number' && message.id > 1e12 ? message.id : conversation.createdAt)
+
+export const formatTokens = (tokens) => tokens.toLocaleString()
+
+export const formatCost = (cost) => `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`
+
+export const dayKey = (time) => {
+  const date = new Date(time)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+export const getMessageUsage = (message) => {
+  if (!message.tokenCount) return null
+  const promptTokens = Number(message.tokenCount.prompt_tokens) || 0
+  const responseTokens = Number(message.tokenCount.response_tokens) || 0
+  return {
+    promptTokens,
+    responseTokens,
+    totalTokens: promptTokens + responseTokens,
+    iterations: Number(message.iterations) || 0,
+    model: message.model || DEFAULT_MODEL
+  }
+}
+
+export const countTokens = (messages) =>
+  messages.reduce((sum, message) => sum + (getMessageUsage(message)?.totalTokens || 0), 0)
+
+export const estimateCost = ({ promptTokens, responseTokens, model }, pricing) => {
+  const price = findModelPricing(pricing, model)
+  return (promptTokens * price.input + responseTokens * price.output) / 1e6
+}
+
+// One record per reply that reported token counts, filed under the repository
+// the prompt was sent to even if the conversation has moved on since
+export const collectUsageRecords = (conversations) => conversations.flatMap(conversation =>
+  conversation.messages
+    .map(message => ({ message, usage: getMessageUsage(message) }))
+    .filter(({ usage }) => usage)
+    .map(({ message, usage }) => ({
+      ...usage,
+      conversationId: conversation.id,
+      conversationTitle: conversation.title,
+      repository: message.workingDirectory ?? conversation.workingDirectory,
+      time: messageTime(message, conversation)
+    }))
+)
+
+export const summarizeUsage = (records, pricing) => records.reduce((summary, record) => ({
+  promptTokens: summary.promptTokens + record.promptTokens,
+  responseTokens: summary.responseTokens + record.responseTokens,
+  totalTokens: summary.totalTokens + record.totalTokens,
+  iterations: summary.iterations + record.iterations,
+  requests: summary.requests + 1,
+  cost: summary.cost + estimateCost(record, pricing)
+}), { promptTokens: 0, responseTokens: 0, totalTokens: 0, iterations: 0, requests: 0, cost: 0 })
+
+// Groups records by `keyOf`, biggest token users first
+export const groupUsage = (records, keyOf, labelOf, pricing) => {
+  const groups = new Map()
+  for (const record of records) {
+    const key = keyOf(record)
+    if (!groups.has(key)) groups.set(key, { key, label: labelOf(record), records: [] })
+    groups.get(key).records.push(record)
+  }
+
+  return [...groups.values()]
+    .map(({ key, label, records: groupRecords }) => ({ key, label, ...summarizeUsage(groupRecords, pricing) }))
+    .sort((a, b) => b.totalTokens - a.totalTokens)
+}
+
+// The last `days` days including today, with empty days kept for the chart
+export const dailyUsage = (records, pricing, days = 14) => {
+  const byDay = new Map(groupUsage(records, record => dayKey(record.time), record => dayKey(record.time), pricing)
+    .map(group => [group.key, group]))
+  const today = new Date()
+  today.setHours(12, 0, 0, 0)
+
+  return Array.from({ length: days }, (_, index) => {
+    const key = dayKey(today.getTime() - (days - 1 - index) * DAY_MS)
+    return byDay.get(key) || { key, label: key, ...summarizeUsage([], pricing) }
+  })
+}
+
+// Warnings for a reply that used `requestTokens`, in a conversation that had
+// used `sessionTokensBefore` before it. The session warning fires once, when
+// the budget is first crossed.
+export const getBudgetWarnings = (requestTokens, sessionTokensBefore, { requestBudget, sessionBudget }) => {
+  const warnings = []
+  if (requestBudget > 0 && requestTokens > requestBudget) {
+    warnings.push(`This request used ${formatTokens(requestTokens)} tokens, above the per-request budget of ${formatTokens(requestBudget)}.`)
+  }
+  const sessionTokens = sessionTokensBefore + requestTokens
+  if (sessionBudget > 0 && sessionTokensBefore <= sessionBudget && sessionTokens > sessionBudget) {
+    warnings.push(`This conversation has used ${formatTokens(sessionTokens)} tokens, above the session budget of ${formatTokens(sessionBudget)}.`)
+  }
+  return warnings
+}
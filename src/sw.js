@@ -0,0 +1,39 @@
+// Service worker for the installable app. Built by the `serviceWorker` plugin
+// in vite.config.js, which replaces the two `self.__*` values below with the
+// build's hash and the files that make up the app shell.
+const BUILD_ID = self.__BUILD_ID
+const PRECACHE_URLS = self.__PRECACHE_URLS
+const CACHE_PREFIX = 'codebuddy-shell-'
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_ID}`
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)))
+})
+
+// Drop the shells of older builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// A new build waits until the page accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting()
+})
+
+// The shell is served from the cache so the app opens offline. API calls go
+// to another origin and are never intercepted.
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  const cacheKey = request.mode === 'navigate' ? '/index.html' : request
+  event.respondWith(
+    caches.match(cacheKey).then(cached => cached || fetch(request))
+  )
+})
@@ -1,8 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Public files that belong to the app shell; hashed build assets are added
+// from the bundle
+const SHELL_PUBLIC_FILES = ['/index.html', '/manifest.webmanifest', '/codeBuddyLogo.png', '/icon-192.png', '/icon-512.png']
+
+// Emits src/sw.js as /sw.js with this build's precache list. The build id
+// changes whenever any output file does, which is what makes browsers pick up
+// the new worker and show the update prompt.
+const serviceWorker = () => ({
+  name: 'codebuddy-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_options, bundle) {
+    const assets = Object.keys(bundle)
+      .filter(fileName => fileName !== 'index.html')
+      .map(fileName => `/${fileName}`)
+    const precacheUrls = [...SHELL_PUBLIC_FILES, ...assets]
+    const buildId = createHash('sha256')
+      .update(assets.sort().join('\n'))
+      .update(bundle['index.html']?.source || '')
+      .digest('hex')
+      .slice(0, 12)
+
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf-8')
+      .replace('self.__BUILD_ID', JSON.stringify(buildId))
+      .replace('self.__PRECACHE_URLS', JSON.stringify(precacheUrls))
+
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  }
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 5173,
     host: true